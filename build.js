@@ -1,192 +1,193 @@
 // build.js — Build RAG SQLite DB(s) from data/<kb>/ → db/<kb>.db (ensures Ollama+models)
+// Usage: node build.js [kb] [--fresh] [--keep-backup] | node build.js <kb> --rollback
+//   Builds into db/<kb>.db.tmp and renames it over db/<kb>.db only once complete, so a running
+//   server never sees a missing or half-built DB. An interrupted build resumes from the last
+//   committed document in the .tmp file; --fresh starts over.
+//   --keep-backup (or KEEP_BACKUP=1) keeps the replaced DB as db/<kb>.db.bak; --rollback restores it.
 const fs = require("fs");
 const path = require("path");
-const glob = require("glob");
-const pdfParse = require("pdf-parse");
-const crypto = require("crypto");
 const Database = require("better-sqlite3");
-const { Ollama } = require("ollama");
 require("dotenv").config();
 
-const { ensureModels, OLLAMA_HOST } = require("./lib/models");
+const { ensureModels } = require("./lib/models");
+const { createDb, removeDb, readKbMeta, writeKbMeta, saveDoc } = require("./lib/db");
+const {
+  EMB_MODEL, CHUNK_TOKENS, OVERLAP_TOKENS, f32buf, hashFile, docKey, listDocs, chunkFile, chunkMetaJson, embedDocs
+} = require("./lib/ingest");
 
 const DATA_ROOT  = "data";
 const DB_DIR     = "db";
-const EMB_MODEL  = process.env.EMB_MODEL || "nomic-embed-text";
-const CHUNK_SIZE = Number(process.env.CHUNK_SIZE || 1100);
-const OVERLAP    = Number(process.env.OVERLAP || 120);
+
+const ARGS  = process.argv.slice(2);
+const FRESH = ARGS.includes("--fresh");
+const KEEP_BACKUP = ARGS.includes("--keep-backup") || process.env.KEEP_BACKUP === "1";
+const ROLLBACK = ARGS.includes("--rollback");
 
 if (!fs.existsSync(DB_DIR)) fs.mkdirSync(DB_DIR, { recursive: true });
 
-const ollama = new Ollama({ host: OLLAMA_HOST });
-
-const f32buf    = (arr) => Buffer.from(new Float32Array(arr).buffer);
-const normalize = (s) => (s || "").replace(/\s+/g, " ").trim();
-
-function parseBlocks(raw) {
-  const lines = (raw || "").replace(/\r\n/g, "\n").split("\n");
-  const blocks = [];
-  let i = 0;
-  const blank = (s) => !s || /^\s*$/.test(s);
-  const qline = (s) => /^(q(uestion)?\s*[:\-]?)\s*/i.test(s || "");
-  const endsQ = (s) => /\?\s*$/.test((s || "").trim());
-
-  while (i < lines.length) {
-    let line = (lines[i] || "").trim();
-    if (blank(line)) { i++; continue; }
-    if (qline(line)) {
-      const q = line.replace(/^(q(uestion)?\s*[:\-]?)\s*/i, "").trim();
-      i++;
-      const a = [];
-      while (i < lines.length) {
-        const ln = (lines[i] || "").trim();
-        if (blank(ln) || qline(ln)) break;
-        a.push(/^a\s*[:\-]?\s*/i.test(ln) ? ln.replace(/^a\s*[:\-]?\s*/i, "").trim() : ln);
-        i++;
-      }
-      blocks.push(normalize(`Q: ${q}\nA: ${a.join(" ")}`));
-      continue;
-    }
-    if (endsQ(line)) {
-      const q = line;
-      const a = [];
-      let j = i + 1;
-      while (j < lines.length) {
-        const ln = (lines[j] || "").trim();
-        if (blank(ln) || qline(ln) || endsQ(ln)) break;
-        a.push(ln);
-        j++;
-      }
-      if (a.length) { blocks.push(normalize(`Q: ${q}\nA: ${a.join(" ")}`)); i = j; continue; }
-    }
-    const paras = [line];
-    i++;
-    while (i < lines.length) {
-      const ln = (lines[i] || "").trim();
-      if (blank(ln) || qline(ln)) break;
-      paras.push(ln);
-      i++;
-    }
-    blocks.push(normalize(paras.join(" ")));
-  }
-  return blocks.filter(Boolean);
+// fresh DB (lib/db.js schema) plus the build checkpoint state
+function initDb(dbPath) {
+  const db = createDb(dbPath);
+  db.exec(`
+    CREATE TABLE build_state (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    INSERT INTO build_state(key, value) VALUES ('status', 'building');
+  `);
+  writeKbMeta(db, { emb_model: EMB_MODEL, chunk_tokens: CHUNK_TOKENS, overlap_tokens: OVERLAP_TOKENS });
+  return db;
 }
 
-function packBlocks(blocks, size = CHUNK_SIZE, overlap = OVERLAP) {
-  const chunks = [];
-  let cur = "";
-  const push = () => { if (cur.trim()) { chunks.push(cur.trim()); cur = ""; } };
-  for (const b of blocks) {
-    if (b.length > size) {
-      const sents = b.split(/(?<=[.!?])\s+(?=[A-Z0-9‘“"(\[])/).map(s => s.trim()).filter(Boolean);
-      let buf = "";
-      for (const s of sents) {
-        if ((buf ? buf.length + 1 : 0) + s.length <= size) buf += (buf ? " " : "") + s;
-        else { if (buf) chunks.push(buf); if (s.length > size) { for (let i=0;i<s.length;i+=size) chunks.push(s.slice(i,i+size)); buf=""; } else buf=s; }
-      }
-      if (buf) chunks.push(buf);
-      continue;
+// Checkpoint of an interrupted build: Map<doc, file_hash> of committed docs, or null when
+// there is nothing to resume (no DB, a finished DB, or a DB from before build_state existed)
+function readCheckpoint(dbPath) {
+  if (!fs.existsSync(dbPath)) return null;
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    const hasState = db.prepare("SELECT 1 FROM sqlite_master WHERE type='table' AND name='build_state'").get();
+    const status = hasState && db.prepare("SELECT value FROM build_state WHERE key='status'").get()?.value;
+    if (status !== "building") return null;
+    const meta = readKbMeta(db);
+    if (!meta || meta.emb_model !== EMB_MODEL || meta.chunk_tokens !== CHUNK_TOKENS || meta.overlap_tokens !== OVERLAP_TOKENS) {
+      console.log(`(settings changed since the interrupted build of ${dbPath}; starting over)`);
+      return null;
     }
-    if ((cur ? cur.length + 2 : 0) + b.length <= size) cur += (cur ? "\n\n" : "") + b;
-    else { push(); cur = b; }
+    return new Map(db.prepare("SELECT doc, file_hash FROM ingested_files").all().map(r => [r.doc, r.file_hash]));
+  } finally {
+    db.close();
   }
-  push();
-  return chunks;
 }
 
-async function readDoc(p) {
-  const ext = path.extname(p).toLowerCase();
-  if (ext === ".txt" || ext === ".md") return fs.readFileSync(p, "utf8");
-  if (ext === ".pdf") {
-    const buf = fs.readFileSync(p);
-    const pdf = await pdfParse(buf);
-    return pdf.text || "";
+async function buildOne(name) {
+  const dataDir = path.join(DATA_ROOT, name);
+  const dbPath  = path.join(DB_DIR, `${name}.db`);
+  const tmpPath = `${dbPath}.tmp`;
+  const files   = listDocs(dataDir);
+  if (!files.length) { console.warn(`(skip) No docs in ${dataDir}`); return; }
+
+  const checkpoint = FRESH ? null : readCheckpoint(tmpPath);
+  if (checkpoint) console.log(`↻ Resuming ${tmpPath}: ${checkpoint.size} doc(s) already committed`);
+
+  // chunk everything up front so progress has a total
+  const pending = [];
+  const kept = new Set(); // checkpointed docs that are unchanged on disk
+  for (const file of files) {
+    const doc = docKey(dataDir, file);
+    const hash = hashFile(file);
+    if (checkpoint && checkpoint.get(doc) === hash) { kept.add(doc); continue; }
+    const { parts, meta } = await chunkFile(file);
+    if (!parts.length) continue;
+    pending.push({ doc, hash, parts, meta });
+    console.log(`• ${doc}: ${parts.length} chunk(s)`);
+  }
+  const total = pending.reduce((n, p) => n + p.parts.length, 0);
+  if (!checkpoint && !total) { console.warn(`(skip) Nothing to embed for ${name}`); return; }
+
+  const db = checkpoint ? new Database(tmpPath) : initDb(tmpPath);
+  db.pragma("journal_mode = WAL");
+  const insChunk = db.prepare(`INSERT INTO chunks (id, doc, chunk_id, text, emb, meta) VALUES (?, ?, ?, ?, ?, ?)`);
+  const insFile  = db.prepare(`INSERT OR REPLACE INTO ingested_files(doc,file_hash,updated_at) VALUES (?,?,datetime('now'))`);
+  const delDoc   = db.prepare(`DELETE FROM chunks WHERE doc=?`);
+  const delFile  = db.prepare(`DELETE FROM ingested_files WHERE doc=?`);
+  const delMeta  = db.prepare(`DELETE FROM docs WHERE doc=?`);
+
+  // resuming: drop docs that changed (even if they now yield no chunks) or disappeared since the interrupted run
+  if (checkpoint) {
+    db.transaction(() => {
+      for (const doc of checkpoint.keys()) {
+        if (kept.has(doc)) continue;
+        delDoc.run(doc);
+        delFile.run(doc);
+        delMeta.run(doc);
+      }
+    })();
   }
-  return "";
-}
 
-async function embedBatch(texts) {
-  const out = [];
-  for (const t of texts) {
-    const r = await ollama.embeddings({ model: EMB_MODEL, prompt: t });
-    out.push(r.embedding);
+  let nextId = db.prepare("SELECT COALESCE(MAX(id),0) AS maxid FROM chunks").get().maxid;
+  console.log(`Embedding ${total} chunk(s)…`);
+
+  // each doc is committed on its own → an interrupted build resumes per document
+  const dim = (await embedDocs(pending, ({ doc, hash, parts, meta }, vectors) => {
+    db.transaction(() => {
+      parts.forEach((p, idx) => insChunk.run(++nextId, doc, idx, p.text, f32buf(vectors[idx]), chunkMetaJson(p.meta)));
+      saveDoc(db, doc, meta);
+      insFile.run(doc, hash);
+    })();
+  })) ?? storedDim(db);
+  if (!dim) {
+    // resumed, but every committed doc has since changed into nothing or disappeared
+    db.close();
+    removeDb(tmpPath);
+    console.warn(`(skip) Nothing left to embed for ${name}`);
+    return;
   }
-  return out;
-}
 
-const hashFile = (file) => crypto.createHash("sha1").update(fs.readFileSync(file)).digest("hex");
+  writeKbMeta(db, { emb_dim: dim, built_at: new Date().toISOString() });
+  db.prepare(`UPDATE build_state SET value='complete' WHERE key='status'`).run();
+  const count = db.prepare("SELECT COUNT(*) AS n FROM chunks").get().n;
+  db.close();
 
-function initDb(dbPath) {
-  if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
-  const db = new Database(dbPath);
-  db.pragma("journal_mode = WAL");
-  db.exec(`
-    CREATE TABLE chunks (
-      id        INTEGER PRIMARY KEY,
-      doc       TEXT NOT NULL,
-      chunk_id  INTEGER NOT NULL,
-      text      TEXT NOT NULL,
-      emb       BLOB NOT NULL
-    );
-    CREATE VIRTUAL TABLE chunks_fts USING fts5(text, content='chunks', content_rowid='id');
-    CREATE TRIGGER chunks_ai AFTER INSERT ON chunks BEGIN
-      INSERT INTO chunks_fts(rowid, text) VALUES (new.id, new.text);
-    END;
-    CREATE TRIGGER chunks_ad AFTER DELETE ON chunks BEGIN
-      INSERT INTO chunks_fts(chunks_fts, rowid, text) VALUES('delete', old.id, old.text);
-    END;
-    CREATE TRIGGER chunks_au AFTER UPDATE ON chunks BEGIN
-      INSERT INTO chunks_fts(chunks_fts, rowid, text) VALUES('delete', old.id, old.text);
-      INSERT INTO chunks_fts(rowid, text) VALUES (new.id, new.text);
-    END;
-    CREATE TABLE ingested_files (doc TEXT PRIMARY KEY, file_hash TEXT NOT NULL, updated_at TEXT NOT NULL);
-    CREATE INDEX idx_chunks_doc ON chunks(doc);
-  `);
-  return db;
+  const backup = swapIntoPlace(tmpPath, dbPath, KEEP_BACKUP);
+  console.log(`✅ Built ${dbPath} with ${count} chunks.`);
+  if (backup) console.log(`   previous DB kept as ${backup} (restore: node build.js ${name} --rollback)`);
 }
 
-async function buildOne(name) {
-  const dataDir = path.join(DATA_ROOT, name);
-  const dbPath  = path.join(DB_DIR, `${name}.db`);
-  const files   = glob.sync(`${dataDir}/**/*.{txt,md,pdf}`, { nocase: true });
-  if (!files.length) { console.warn(`(skip) No docs in ${dataDir}`); return; }
+// vector dimension of the embeddings already in the DB (4-byte floats), or undefined when it has none
+function storedDim(db) {
+  const row = db.prepare("SELECT length(emb) AS bytes FROM chunks LIMIT 1").get();
+  return row ? row.bytes / 4 : undefined;
+}
 
-  const meta = [];
-  const texts = [];
-  for (const file of files) {
-    const raw = await readDoc(file);
-    if (!raw || !raw.trim()) continue;
-    const parts = packBlocks(parseBlocks(raw), CHUNK_SIZE, OVERLAP);
-    const base = path.basename(file);
-    parts.forEach((text, idx) => meta.push({ doc: base, chunk_id: idx, text, file_hash: hashFile(file) }));
-    texts.push(...parts);
-    console.log(`• ${base}: ${parts.length} chunk(s)`);
+/**
+ * swapIntoPlace(srcPath, dbPath, keepBackup): atomically replace dbPath with srcPath.
+ * Readers holding the old file keep a consistent view until they reopen (the retriever
+ * notices the new inode). Returns the backup path when one was kept.
+ */
+function swapIntoPlace(srcPath, dbPath, keepBackup) {
+  const bakPath = `${dbPath}.bak`;
+  let backup = null;
+  // single self-contained file from here on: no -wal to carry across the rename
+  const src = new Database(srcPath);
+  try { src.pragma("journal_mode = DELETE"); } finally { src.close(); }
+
+  if (fs.existsSync(dbPath)) {
+    // fold any pending WAL frames into the live file so the backup is complete
+    // and no stale -wal is left next to the new DB
+    const live = new Database(dbPath);
+    try { live.pragma("wal_checkpoint(TRUNCATE)"); } finally { live.close(); }
+    if (keepBackup) {
+      removeDb(bakPath);
+      fs.linkSync(dbPath, bakPath); // same inode as the old DB; survives the rename below
+      backup = bakPath;
+    }
   }
-  if (!texts.length) { console.warn(`(skip) Nothing to embed for ${name}`); return; }
-
-  console.log(`Embedding ${texts.length} chunk(s)…`);
-  const vectors = await embedBatch(texts);
-
-  const db = initDb(dbPath);
-  const insChunk = db.prepare(`INSERT INTO chunks (id, doc, chunk_id, text, emb) VALUES (?, ?, ?, ?, ?)`);
-  const insFile  = db.prepare(`INSERT INTO ingested_files(doc,file_hash,updated_at) VALUES (?,?,datetime('now'))`);
-
-  const tx = db.transaction(() => {
-    for (let i = 0; i < meta.length; i++) insChunk.run(i + 1, meta[i].doc, meta[i].chunk_id, meta[i].text, f32buf(vectors[i]));
-    const last = new Map();
-    for (const m of meta) last.set(m.doc, m.file_hash);
-    for (const [doc, hash] of last.entries()) insFile.run(doc, hash);
-  });
-  tx();
-  console.log(`✅ Built ${dbPath} with ${meta.length} chunks.`);
+  fs.renameSync(srcPath, dbPath);
+  fs.rmSync(`${dbPath}-wal`, { force: true });
+  fs.rmSync(`${dbPath}-shm`, { force: true });
+  return backup;
+}
+
+// Put db/<kb>.db.bak back in place of db/<kb>.db (the current DB becomes the new .bak)
+function rollbackOne(name) {
+  const dbPath  = path.join(DB_DIR, `${name}.db`);
+  const bakPath = `${dbPath}.bak`;
+  if (!fs.existsSync(bakPath)) { console.error(`No ${bakPath} to roll back to.`); process.exit(1); }
+  const tmpPath = `${dbPath}.rollback`;
+  removeDb(tmpPath);
+  fs.renameSync(bakPath, tmpPath);
+  swapIntoPlace(tmpPath, dbPath, true);
+  console.log(`↩ Restored ${dbPath} from ${bakPath}.`);
 }
 
 (async function main() {
+  const arg = ARGS.find(a => !a.startsWith("--"));
+  if (ROLLBACK) {
+    if (!arg) { console.error("Usage: node build.js <kb> --rollback"); process.exit(1); }
+    return rollbackOne(arg);
+  }
+
   // ⬅️ make sure ollama is up and embedding model is present
   await ensureModels("rag");
 
   if (!fs.existsSync(DATA_ROOT)) { console.error("No ./data folder"); process.exit(1); }
-  const arg = process.argv[2];
   if (arg) {
     const dir = path.join(DATA_ROOT, arg);
     if (!fs.existsSync(dir)) { console.error(`Folder not found: ${dir}`); process.exit(1); }
@@ -0,0 +1,73 @@
+// keys.js — manage API keys for server.js (stored hashed in db/_keys.db, see lib/auth.js)
+// Usage:
+//   node keys.js add <name> [--kbs business,handbook] [--rate 60] [--burst 10]
+//   node keys.js list
+//   node keys.js revoke <name>
+//   --kbs: KBs the key may query (default: all); --rate: requests per minute (0 = unlimited);
+//   --burst: requests allowed back to back. Without --rate/--burst the RATE_LIMIT_* defaults apply.
+require("dotenv").config();
+
+const { openKeyStore, API_AUTH, RATE_LIMIT_PER_MIN, RATE_LIMIT_BURST } = require("./lib/auth");
+
+const [cmd, ...rest] = process.argv.slice(2);
+
+// "--kbs a,b" → { kbs: "a,b" }; other words are positional
+function parseArgs(args) {
+  const flags = {}, positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) flags[args[i].slice(2)] = args[++i];
+    else positional.push(args[i]);
+  }
+  return { flags, positional };
+}
+
+function usage() {
+  console.log("Usage: node keys.js add <name> [--kbs kb1,kb2] [--rate N] [--burst N] | list | revoke <name>");
+  process.exit(1);
+}
+
+const num = (v, flag) => {
+  if (v == null) return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) { console.error(`--${flag} must be a number ≥ 0.`); process.exit(1); }
+  return n;
+};
+
+const limitOf = (k) => `${k.rate ?? RATE_LIMIT_PER_MIN}/min, burst ${k.burst ?? RATE_LIMIT_BURST}`;
+
+function main() {
+  const { flags, positional } = parseArgs(rest);
+  const store = openKeyStore();
+  try {
+    if (cmd === "add") {
+      const [name] = positional;
+      if (!name) usage();
+      const kbs = flags.kbs ? flags.kbs.split(",").map(s => s.trim()).filter(Boolean) : null;
+      const k = store.add(name, { kbs, rate: num(flags.rate, "rate"), burst: num(flags.burst, "burst") });
+      console.log(`Created key "${k.name}" (KBs: ${k.kbs ? k.kbs.join(", ") : "all"}; ${limitOf(k)}):\n\n  ${k.key}\n`);
+      console.log("Store it now; only its hash is kept. Send it as \"Authorization: Bearer <key>\".");
+      if (API_AUTH === "off") console.log("(API_AUTH=off: the server does not check keys yet.)");
+    } else if (cmd === "list") {
+      const keys = store.list();
+      if (!keys.length) return console.log("No API keys. The API is open until one is added (node keys.js add <name>).");
+      for (const k of keys) {
+        console.log(`${k.name.padEnd(20)} ${k.prefix}…  KBs: ${k.kbs ? k.kbs.join(",") : "all"}  ${limitOf(k)}  ` +
+          `created ${k.created_at.slice(0, 10)}  last used ${k.last_used_at ? k.last_used_at.slice(0, 16).replace("T", " ") : "never"}`);
+      }
+    } else if (cmd === "revoke") {
+      const [name] = positional;
+      if (!name) usage();
+      if (!store.revoke(name)) { console.error(`No key named "${name}".`); process.exitCode = 1; return; }
+      console.log(`Revoked "${name}".`);
+    } else {
+      usage();
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+main();
@@ -0,0 +1,126 @@
+// lib/auth.js
+// API keys for server.js, kept in db/_keys.db and managed with `node keys.js`. Only a SHA-256
+// hash of each key is stored (keys are random, so a plain hash is enough); the key itself is
+// shown once, when it is created. Each key carries an allow-list of KBs (null = all) and a
+// token-bucket rate limit. The server reads the table per request, so key changes apply at once.
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { DB_DIR } = require('./db');
+
+// API_AUTH: auto (default) = keys required once at least one exists | on = always | off = never
+const API_AUTH = (process.env.API_AUTH || 'auto').toLowerCase();
+// default token bucket per key: refills RATE_LIMIT_PER_MIN requests a minute, holds up to RATE_LIMIT_BURST
+const RATE_LIMIT_PER_MIN = Number(process.env.RATE_LIMIT_PER_MIN || 60);
+const RATE_LIMIT_BURST   = Number(process.env.RATE_LIMIT_BURST || 10);
+
+const KEY_PREFIX = 'lkb_';
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * openKeyStore({ file? })
+ *   add(name, { kbs?, rate?, burst? }) → { key, …record }   (key is only ever returned here)
+ *   list()               → [record]     record: { name, prefix, kbs, rate, burst, created_at, last_used_at }
+ *   revoke(name)         → true when a key was deleted
+ *   verify(key)          → record, or null for unknown keys (and stamps last_used_at)
+ *   count()              → number of keys
+ * kbs: array of KB names, or null for every KB; rate/burst null = the RATE_LIMIT_* defaults, rate 0 = unlimited.
+ */
+function openKeyStore(opts = {}){
+  const db = new Database(opts.file || path.join(DB_DIR, '_keys.db'));
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      name         TEXT PRIMARY KEY,
+      key_hash     TEXT NOT NULL UNIQUE,  -- sha256 hex of the key
+      prefix       TEXT NOT NULL,         -- first characters, to tell keys apart in listings
+      kbs          TEXT,                  -- JSON array of allowed KBs; NULL = all
+      rate         REAL,                  -- requests per minute; NULL = RATE_LIMIT_PER_MIN
+      burst        INTEGER,               -- bucket size; NULL = RATE_LIMIT_BURST
+      created_at   TEXT NOT NULL,
+      last_used_at TEXT
+    );
+  `);
+  const insert = db.prepare(`INSERT INTO api_keys (name, key_hash, prefix, kbs, rate, burst, created_at)
+    VALUES (@name, @key_hash, @prefix, @kbs, @rate, @burst, @created_at)`);
+  const byHash = db.prepare(`SELECT * FROM api_keys WHERE key_hash=?`);
+  const touch  = db.prepare(`UPDATE api_keys SET last_used_at=? WHERE name=?`);
+
+  const view = (row) => ({
+    name: row.name,
+    prefix: row.prefix,
+    kbs: row.kbs ? JSON.parse(row.kbs) : null,
+    rate: row.rate,
+    burst: row.burst,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at
+  });
+
+  function add(name, { kbs = null, rate = null, burst = null } = {}){
+    if (!/^[\w.-]{1,64}$/.test(String(name || ''))) throw new Error('Key name must be 1-64 letters, digits or . _ -');
+    if (db.prepare(`SELECT 1 FROM api_keys WHERE name=?`).get(name)) throw new Error(`A key named "${name}" already exists.`);
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    insert.run({
+      name, key_hash: hashKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6),
+      kbs: kbs ? JSON.stringify(kbs) : null, rate, burst, created_at: new Date().toISOString()
+    });
+    return { key, ...view(db.prepare(`SELECT * FROM api_keys WHERE name=?`).get(name)) };
+  }
+
+  function verify(key){
+    if (!key) return null;
+    const row = byHash.get(hashKey(key));
+    if (!row) return null;
+    touch.run(new Date().toISOString(), row.name);
+    return view(row);
+  }
+
+  return {
+    add,
+    verify,
+    list: () => db.prepare(`SELECT * FROM api_keys ORDER BY name`).all().map(view),
+    revoke: (name) => db.prepare(`DELETE FROM api_keys WHERE name=?`).run(name).changes > 0,
+    count: () => db.prepare(`SELECT COUNT(*) AS n FROM api_keys`).get().n,
+    close: () => db.close()
+  };
+}
+
+/**
+ * createRateLimiter({ now? }): take(name, rate, burst) → { ok, retryAfter } — one token bucket
+ * per key name, holding up to `burst` requests and refilling `rate` per minute (rate 0 = unlimited).
+ * retryAfter: seconds until the next request is allowed (when !ok).
+ */
+function createRateLimiter(opts = {}){
+  const now = opts.now || Date.now;
+  const buckets = new Map(); // name → { tokens, at }
+  return {
+    take(name, rate = RATE_LIMIT_PER_MIN, burst = RATE_LIMIT_BURST){
+      if (!rate) return { ok: true, retryAfter: 0 };
+      const perMs = rate / 60000, cap = Math.max(1, burst);
+      const t = now();
+      const b = buckets.get(name) || { tokens: cap, at: t };
+      b.tokens = Math.min(cap, b.tokens + (t - b.at) * perMs);
+      b.at = t;
+      buckets.set(name, b);
+      if (b.tokens >= 1) { b.tokens -= 1; return { ok: true, retryAfter: 0 }; }
+      return { ok: false, retryAfter: Math.ceil((1 - b.tokens) / perMs / 1000) };
+    }
+  };
+}
+
+/** allowedKbs(key, names): the KBs among `names` that `key` may query (all for no key / no allow-list) */
+function allowedKbs(key, names){
+  if (!key || !key.kbs) return names;
+  return names.filter(n => key.kbs.includes(n));
+}
+
+/** bearerToken(header): the token of an "Authorization: Bearer <token>" header, or null */
+function bearerToken(header){
+  const m = String(header || '').match(/^Bearer\s+(\S+)\s*$/i);
+  return m ? m[1] : null;
+}
+
+module.exports = {
+  API_AUTH, RATE_LIMIT_PER_MIN, RATE_LIMIT_BURST,
+  openKeyStore, createRateLimiter, allowedKbs, bearerToken, hashKey
+};
@@ -1,8 +1,7 @@
 // lib/chunking.js
 // Text parsing/normalization + block/QA detection + chunk packing.
-const fs = require('fs');
-const path = require('path');
-const pdfParse = require('pdf-parse');
+// (File reading lives in lib/loaders.js.) Sizes and overlaps are in approximate tokens (lib/tokens.js).
+const { countTokens, splitTokens, tailTokens } = require('./tokens');
 
 /** normalize: collapse whitespace so retrieval is less brittle */
 function normalize(s){ return (s || '').replace(/\s+/g, ' ').trim(); }
@@ -13,7 +12,8 @@ function parseBlocks(raw){
   const blocks = [];
   let i = 0;
   const blank = s => !s || /^\s*$/.test(s);
-  const qline = s => /^(q(uestion)?\s*[:\-]?)\s*/i.test(s || '');
+  // "Q:" / "Question -" … (a separator is required, so "Quarterly…" or "Quantity: 5;…" rows stay text)
+  const qline = s => /^q(uestion)?\s*[:\-]/i.test(s || '');
   const endsQ = s => /\?\s*$/.test((s || '').trim());
 
   while (i < lines.length) {
@@ -22,13 +22,13 @@ function parseBlocks(raw){
 
     // Case A: "Q:" prefixed
     if (qline(line)) {
-      const q = line.replace(/^(q(uestion)?\s*[:\-]?)\s*/i, '').trim();
+      const q = line.replace(/^q(uestion)?\s*[:\-]\s*/i, '').trim();
       i++;
       const a = [];
       while (i < lines.length) {
         const ln = (lines[i] || '').trim();
         if (blank(ln) || qline(ln)) break;
-        a.push(/^a\s*[:\-]?\s*/i.test(ln) ? ln.replace(/^a\s*[:\-]?\s*/i, '').trim() : ln);
+        a.push(ln.replace(/^a(nswer)?\s*[:\-]\s*/i, '').trim());
         i++;
       }
       blocks.push(normalize(`Q: ${q}\nA: ${a.join(' ')}`));
@@ -67,61 +67,233 @@ function parseBlocks(raw){
   return blocks.filter(Boolean);
 }
 
-/** packBlocks: aggregate blocks into ~CHUNK_SIZE text chunks with overlap */
+/** splitLong: sentence-aware split of one oversized block into pieces of ≤ size tokens */
+function splitLong(b, size){
+  const out = [];
+  const sents = b.split(/(?<=[.!?])\s+(?=[A-Z0-9‘“"(\[])|(?<=[。！？])\s*/).map(s => s.trim()).filter(Boolean);
+  let buf = '', n = 0;
+  for (const s of sents) {
+    const t = countTokens(s);
+    if (n + t <= size) {
+      buf += (buf ? ' ' : '') + s;
+      n += t;
+    } else {
+      if (buf) out.push(buf);
+      if (t > size) {
+        // no sentence break fits: cut between words
+        out.push(...splitTokens(s, size));
+        buf = ''; n = 0;
+      } else {
+        buf = s; n = t;
+      }
+    }
+  }
+  if (buf) out.push(buf);
+  return out;
+}
+
+/** packBlocks: aggregate blocks into chunks of ~size tokens with `overlap` tokens carried over */
 function packBlocks(blocks, size, overlap){
   const chunks = [];
-  let cur = '';
-  const push = () => { if (cur.trim()) { chunks.push(cur.trim()); cur=''; } };
+  let cur = '', n = 0;
+  const push = () => { if (cur.trim()) { chunks.push(cur.trim()); cur=''; n = 0; } };
 
   for (const b of blocks) {
-    if (b.length > size) {
-      // sentence-aware split
-      const sents = b.split(/(?<=[.!?])\s+(?=[A-Z0-9‘“"(\[])/).map(s => s.trim()).filter(Boolean);
-      let buf = '';
-      for (const s of sents) {
-        if ((buf ? buf.length + 1 : 0) + s.length <= size) {
-          buf += (buf ? ' ' : '') + s;
-        } else {
-          if (buf) chunks.push(buf);
-          if (s.length > size) {
-            for (let i = 0; i < s.length; i += size) chunks.push(s.slice(i, i + size));
-            buf = '';
-          } else {
-            buf = s;
-          }
-        }
-      }
-      if (buf) chunks.push(buf);
+    const t = countTokens(b);
+    if (t > size) {
+      chunks.push(...splitLong(b, size));
       continue;
     }
-    if ((cur ? cur.length + 2 : 0) + b.length <= size) cur += (cur ? '\n\n' : '') + b;
-    else { push(); cur = b; }
+    if (n + t <= size) { cur += (cur ? '\n\n' : '') + b; n += t; }
+    else { push(); cur = b; n = t; }
   }
   push();
 
   // Add simple overlap if requested
   if (overlap > 0 && chunks.length > 1) {
     const o = Math.min(overlap, size >> 1);
-    for (let i = 1; i < chunks.length; i++) {
-      const prev = chunks[i-1];
-      const tail = prev.slice(Math.max(0, prev.length - o));
-      chunks[i] = tail + '\n\n' + chunks[i];
+    for (let i = chunks.length - 1; i > 0; i--) {
+      const tail = tailTokens(chunks[i-1], o);
+      if (tail) chunks[i] = tail + '\n\n' + chunks[i];
     }
   }
 
   return chunks;
 }
 
-/** readDoc: read txt/md/pdf into plain text */
-async function readDoc(p){
-  const ext = path.extname(p).toLowerCase();
-  if (ext === '.txt' || ext === '.md') return fs.readFileSync(p, 'utf8');
-  if (ext === '.pdf') {
-    const buf = fs.readFileSync(p);
-    const pdf = await pdfParse(buf);
-    return pdf.text || '';
+/**
+ * packPages: packBlocks for paged documents (PDF). Blocks are parsed per page and packed across
+ * page breaks (a paragraph often continues on the next page); every chunk records its page range.
+ *   pages: ["page 1 text", "page 2 text", …]  →  [{ text, pages: [first, last] }]  (1-based)
+ * Overlap is the same tail-of-previous-chunk as packBlocks; it does not widen the page range.
+ */
+function packPages(pages, size, overlap){
+  const chunks = [];
+  let cur = null;
+  const push = () => { if (cur && cur.text.trim()) chunks.push({ text: cur.text.trim(), pages: [cur.first, cur.last] }); cur = null; };
+
+  pages.forEach((raw, i) => {
+    const page = i + 1;
+    for (const b of parseBlocks(raw)) {
+      const t = countTokens(b);
+      if (t > size) {
+        push();
+        for (const piece of splitLong(b, size)) chunks.push({ text: piece, pages: [page, page] });
+        continue;
+      }
+      if (cur && cur.n + t <= size) { cur.text += '\n\n' + b; cur.n += t; cur.last = page; }
+      else { push(); cur = { text: b, n: t, first: page, last: page }; }
+    }
+  });
+  push();
+
+  if (overlap > 0 && chunks.length > 1) {
+    const o = Math.min(overlap, size >> 1);
+    for (let i = chunks.length - 1; i > 0; i--) {
+      const tail = tailTokens(chunks[i-1].text, o);
+      if (tail) chunks[i].text = tail + '\n\n' + chunks[i].text;
+    }
+  }
+  return chunks;
+}
+
+// ---------- Markdown ----------
+const MD_HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MD_FENCE   = /^ {0,3}(`{3,}|~{3,})/;
+const MD_LIST    = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const MD_SETEXT  = /^ {0,3}(=+|-+)\s*$/;
+
+/**
+ * parseMarkdown: split Markdown into blocks that remember their heading path
+ *   [{ text, section: ["Refund policy", "Exceptions"], kind: "text" | "list" | "table" | "code" }]
+ * Paragraphs are whitespace-normalized; lists, tables and code fences keep their lines verbatim.
+ * Leading YAML front matter is skipped.
+ */
+function parseMarkdown(raw){
+  const lines = (raw || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  const path = []; // [{ level, title }]
+  const section = () => path.map(h => h.title);
+  const heading = (level, title) => {
+    while (path.length && path[path.length - 1].level >= level) path.pop();
+    if (title) path.push({ level, title });
+  };
+  const isBreak = (ln) => !ln.trim() || MD_HEADING.test(ln) || MD_FENCE.test(ln);
+
+  let i = 0;
+  if (/^---\s*$/.test(lines[0] || '')) {
+    const end = lines.findIndex((l, j) => j > 0 && /^(---|\.\.\.)\s*$/.test(l));
+    if (end > 0) i = end + 1;
+  }
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    const h = line.match(MD_HEADING);
+    if (h) { heading(h[1].length, h[2].trim()); i++; continue; }
+
+    const f = line.match(MD_FENCE);
+    if (f) {
+      const close = new RegExp(`^ {0,3}${f[1][0] === '`' ? '`' : '~'}{${f[1].length},}\\s*$`);
+      const code = [line];
+      for (i++; i < lines.length; i++) {
+        code.push(lines[i]);
+        if (close.test(lines[i])) { i++; break; }
+      }
+      blocks.push({ text: code.join('\n').replace(/\s+$/, ''), section: section(), kind: 'code' });
+      continue;
+    }
+
+    // setext heading: one line underlined with === / ---
+    if (i + 1 < lines.length && MD_SETEXT.test(lines[i + 1]) && !MD_LIST.test(line)) {
+      heading(lines[i + 1].trim()[0] === '=' ? 1 : 2, line.trim());
+      i += 2;
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && !isBreak(lines[i])) para.push(lines[i++].replace(/\s+$/, ''));
+    if (para.every(l => l.includes('|'))) {
+      blocks.push({ text: para.map(l => l.trim()).join('\n'), section: section(), kind: 'table' });
+    } else if (MD_LIST.test(para[0])) {
+      blocks.push({ text: para.join('\n'), section: section(), kind: 'list' });
+    } else {
+      blocks.push({ text: normalize(para.join(' ')), section: section(), kind: 'text' });
+    }
+  }
+  return blocks.filter(b => b.text);
+}
+
+// split an oversized list/table/code block on line boundaries; code pieces are re-fenced,
+// table pieces repeat the header row(s)
+function splitLines(block, size){
+  let lines = block.text.split('\n');
+  let head = [], tail = [];
+  if (block.kind === 'code') {
+    const closed = lines.length > 1 && MD_FENCE.test(lines[lines.length - 1]);
+    head = lines.slice(0, 1);
+    tail = [closed ? lines[lines.length - 1] : lines[0].trim().replace(/[^`~]/g, '')];
+    lines = lines.slice(1, closed ? -1 : undefined);
+  } else if (block.kind === 'table') {
+    head = lines.slice(0, /^[\s|:-]+$/.test(lines[1] || '') ? 2 : 1);
+    lines = lines.slice(head.length);
+  }
+  const fixed = countTokens([...head, ...tail].join('\n'));
+  const out = [];
+  let cur = [], n = 0;
+  const flush = () => { if (cur.length) out.push([...head, ...cur, ...tail].join('\n')); cur = []; n = 0; };
+  for (const ln of lines) {
+    const t = countTokens(ln);
+    if (cur.length && fixed + n + t > size) flush();
+    if (fixed + t > size) {
+      flush();
+      for (const piece of splitLong(ln, Math.max(1, size - fixed))) out.push([...head, piece, ...tail].join('\n'));
+      continue;
+    }
+    cur.push(ln);
+    n += t;
   }
-  return '';
+  flush();
+  return out;
+}
+
+/**
+ * packMarkdown: pack parseMarkdown() blocks into chunks that never cross a heading.
+ * Each chunk is prefixed with its heading path ("Refund policy > Exceptions") and returned as
+ *   [{ text, section }]   (section: "" before the first heading)
+ * Overlap is only carried between consecutive prose chunks of the same section.
+ */
+function packMarkdown(blocks, size, overlap){
+  const chunks = [];
+  for (let i = 0; i < blocks.length;) {
+    const key = blocks[i].section.join(' > ');
+    const group = [];
+    while (i < blocks.length && blocks[i].section.join(' > ') === key) group.push(blocks[i++]);
+
+    const budget = Math.max(size >> 1, size - countTokens(key));
+    const pieces = group.flatMap(b => (countTokens(b.text) <= budget ? [b]
+      : (b.kind === 'text' ? splitLong(b.text, budget) : splitLines(b, budget)).map(text => ({ text, kind: b.kind }))));
+
+    const bodies = [];
+    let cur = null;
+    for (const p of pieces) {
+      const t = countTokens(p.text);
+      if (cur && cur.n + t <= budget) { cur.text += '\n\n' + p.text; cur.n += t; cur.last = p.kind; continue; }
+      if (cur) bodies.push(cur);
+      cur = { text: p.text, n: t, first: p.kind, last: p.kind };
+    }
+    if (cur) bodies.push(cur);
+
+    const o = Math.min(overlap || 0, budget >> 1);
+    bodies.forEach((b, k) => {
+      let text = b.text;
+      const prev = bodies[k - 1];
+      if (o > 0 && prev && prev.last === 'text' && b.first === 'text') text = tailTokens(prev.text, o) + '\n\n' + text;
+      chunks.push({ text: key ? `${key}\n\n${text}` : text, section: key });
+    });
+  }
+  return chunks;
 }
 
-module.exports = { normalize, parseBlocks, packBlocks, readDoc };
+module.exports = { normalize, parseBlocks, packBlocks, packPages, parseMarkdown, packMarkdown };
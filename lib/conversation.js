@@ -3,6 +3,13 @@
 
 const FOLLOWUP_RE = /^(what about|how about|and\b|also\b|and\s+what|what\s+else|ok,\s*but)/i;
 
+// QUERY_REWRITE=llm → the generation model turns recent turns + the new message into a standalone
+// search query (falls back to the rules below on failure); "rules" (default) = deterministic only
+const QUERY_REWRITE = (process.env.QUERY_REWRITE || "rules").toLowerCase();
+// context terms (and the last objective) are kept for this many user turns, and dropped as soon as a
+// standalone question changes the topic
+const CONTEXT_TURNS = Number(process.env.CONTEXT_TURNS || 3);
+
 const STOPWORDS = new Set([
   "the","a","an","and","or","but","if","so","of","in","on","for","to","from","with",
   "about","regarding","is","are","was","were","be","been","it","that","this","those",
@@ -55,16 +62,35 @@ function summarizeRecentHistory(history, limit=4){
 }
 
 function initState(){
-  return { messages: [], contextTerms: [], lastObjective: undefined };
+  // contextTerms: [{ term, turn }] — turn is the user turn that last mentioned the term;
+  // objectiveTurn: the user turn lastObjective was taken from
+  return { messages: [], contextTerms: [], lastObjective: undefined, objectiveTurn: undefined, turn: 0 };
+}
+
+function isFollowUp(userText){
+  return FOLLOWUP_RE.test(userText) || userText.trim().split(/\s+/).length < 6;
 }
 
 function updateState(state, userText){
-  const contextTerms = new Set(state.contextTerms || []);
-  for(const t of extractSalientTerms(userText)) contextTerms.add(t);
-  const objective = inferObjective(userText) || state.lastObjective;
+  const turn = (state.turn || 0) + 1;
+  const fresh = extractSalientTerms(userText);
+  // a standalone question starts a new topic: earlier terms and objective no longer apply
+  const sameTopic = isFollowUp(userText) || !fresh.length;
+  const kept = sameTopic
+    ? (state.contextTerms || []).filter(c => turn - c.turn < CONTEXT_TURNS && !fresh.some(t => t.toLowerCase() === c.term.toLowerCase()))
+    : [];
+  const objective = inferObjective(userText);
 
-  state.contextTerms = Array.from(contextTerms).slice(0, 16);
-  state.lastObjective = objective;
+  state.turn = turn;
+  state.contextTerms = [...fresh.map(term => ({ term, turn })), ...kept].slice(0, 16);
+  if (objective) {
+    state.lastObjective = objective;
+    state.objectiveTurn = turn;
+  } else if (!sameTopic || !(turn - state.objectiveTurn < CONTEXT_TURNS)) {
+    // (sessions saved before objectiveTurn existed have none: their objective just expires)
+    state.lastObjective = undefined;
+    state.objectiveTurn = undefined;
+  }
   state.messages.push({ role: "user", content: userText });
 }
 
@@ -75,11 +101,10 @@ function updateState(state, userText){
  * - Otherwise return the message unchanged.
  */
 function rewriteQuery(userText, state){
-  const isFollowUp = FOLLOWUP_RE.test(userText) || userText.trim().split(/\s+/).length < 6;
-  if(!isFollowUp) return userText;
+  if(!isFollowUp(userText)) return userText;
 
-  // pull a few stable context terms
-  const terms = (state.contextTerms || []).slice(0, 8).join(" ");
+  // pull a few stable context terms (newest first)
+  const terms = (state.contextTerms || []).slice(0, 8).map(c => c.term).join(" ");
   // include last objective keywords if we have them
   const obj = state.lastObjective ? ` ${state.lastObjective}` : "";
 
@@ -88,64 +113,166 @@ function rewriteQuery(userText, state){
   return `${userText}${terms ? ` (context:${obj} ${terms})` : ""}`.trim();
 }
 
+/**
+ * LLM follow-up rewrite: ask `generator` (anything with generate(prompt, opts)) for a standalone
+ * search query built from the last few turns + the new message. Falls back to rewriteQuery()
+ * when there is no history, no generator, or the model fails or returns something unusable.
+ * Call after updateState() (the new message is the last entry in state.messages).
+ * opts.signal (AbortSignal) is passed on to the generator.
+ */
+async function rewriteQueryWithLLM(userText, state, generator, opts = {}){
+  const history = summarizeRecentHistory(state.messages.slice(0, -1), 4);
+  if(!history || !generator || typeof generator.generate !== "function") return rewriteQuery(userText, state);
+
+  const prompt = `Rewrite the latest user message as a standalone search query for a document search engine.
+Resolve pronouns and follow-ups ("what about X?", "and in 2023?") using the conversation; drop topics the
+latest message moved away from. Reply with the query only, on one line, no quotes or explanation.
+
+CONVERSATION:
+${history}
+
+Latest user message: ${userText}
+Standalone query:`;
+
+  try {
+    const out = await generator.generate(prompt, { num_predict: 48, signal: opts.signal });
+    const query = String(out || "").split("\n").map(l => l.trim()).find(Boolean) || "";
+    const cleaned = query.replace(/^(standalone\s+)?query\s*:\s*/i, "").replace(/^["'`]+|["'`]+$/g, "").trim();
+    // refuse empty or rambling output
+    if(cleaned && cleaned.length <= 300) return cleaned;
+  } catch { /* fall back to the deterministic rewrite */ }
+  return rewriteQuery(userText, state);
+}
+
 function selectUsable(results, threshold=0.38){
   return (results||[]).filter(r => (r.score ?? 0) >= threshold);
 }
 
 function formatAnswer(doc){
-  const src = (doc.meta && (doc.meta.title || doc.meta.source || doc.meta.url)) || "document";
+  const src = (doc.meta && (doc.meta.title || doc.meta.doc || doc.meta.source || doc.meta.url)) || "document";
   return `${String(doc.text||'').trim()}\n\n— from ${src}`;
 }
 
+/**
+ * citeLocation(meta): where in the doc a hit comes from — "Setup > Linux", "p. 4", "pp. 4–5", or "".
+ */
+function citeLocation(meta){
+  const m = meta || {};
+  const at = [];
+  if (m.section) at.push(m.section);
+  if (m.page_start != null) {
+    at.push(m.page_end != null && m.page_end !== m.page_start ? `pp. ${m.page_start}–${m.page_end}` : `p. ${m.page_start}`);
+  }
+  return at.join(", ");
+}
+
+/**
+ * Grounded prompt: numbered sources + recent history + the new message.
+ * Source [n] is hits[n-1], so citation markers map straight onto the returned hits.
+ */
+function buildGroundedPrompt(userText, hits, history){
+  const sources = hits.map((h, i) => {
+    const src = (h.meta && (h.meta.title || h.meta.doc || h.meta.source)) || "document";
+    const at = citeLocation(h.meta);
+    const where = at ? `${src} › ${at}` : src;
+    return `[${i+1}] (${where})\n${String(h.text||'').trim()}`;
+  }).join("\n\n");
+  const convo = history ? `\n\nCONVERSATION SO FAR:\n${history}` : "";
+
+  return `Answer the latest user message using ONLY the numbered SOURCES below.
+Cite every fact with the number of the source it came from in square brackets, e.g. [1] or [1][3].
+If the sources don't contain the answer, say "I don't know based on the provided documents."
+
+SOURCES:
+${sources}${convo}
+
+User: ${userText}
+Assistant:`;
+}
+
 /**
  * answerTurn(state, userText, retriever, llm?, opts?)
- * retriever.search(query, { topK, mmr }) => [{ text, score, meta }, ...]
- * llm.generate(prompt) => string (optional)
+ * retriever.search(query, { topK, mmr, kbs, exclude, allow, filter }) => [{ text, score, meta }, ...]
+ * retriever.generate(prompt, { onToken, signal }) => string (optional; grounded answers, else llm.generate)
+ * llm.generate(prompt, { onToken, signal }) => string (optional)
+ * opts.raw: answer with the top chunk verbatim instead of generating
+ * opts.rewrite: "llm" | "rules" — how follow-ups become search queries (default QUERY_REWRITE)
+ * opts.onToken(token) streams the final answer (canned/raw answers arrive as a single token)
+ * opts.signal (AbortSignal): stop early — e.g. the client went away; the turn then rejects
+ *   (AbortError) without adding an assistant message
  */
 async function answerTurn(state, userText, retriever, llm, opts){
   opts = opts || {};
   updateState(state, userText);
 
-  // 1) Build a concrete query for retrieval (no LLM needed to rewrite)
-  const rewritten = rewriteQuery(userText, state);
+  const generator =
+    (typeof retriever.generate === "function" && retriever) ||
+    (llm && typeof llm.generate === "function" && llm) ||
+    null;
+
+  // 1) Build a concrete query for retrieval (the generation model rewrites it when enabled)
+  const rewritten = (opts.rewrite || QUERY_REWRITE) === "llm"
+    ? await rewriteQueryWithLLM(userText, state, generator, { signal: opts.signal })
+    : rewriteQuery(userText, state);
+  opts.signal?.throwIfAborted();
 
   // 2) Retrieve
   const topK = opts.topK ?? 5;
-  const results = await retriever.search(rewritten, { topK, mmr: true });
+  const results = await retriever.search(rewritten, { topK, mmr: true, kbs: opts.kbs, exclude: opts.exclude, allow: opts.allow, filter: opts.filter });
 
   // 3) Filter
   const usable = selectUsable(results, opts.threshold ?? 0.38);
+  opts.signal?.throwIfAborted();
+
+  // when paraphrasing, only the rewritten answer is streamed
+  const canParaphrase = opts.paraphrase && llm && typeof llm.generate === "function";
+  const onToken = typeof opts.onToken === "function" ? opts.onToken : null;
+  const draftToken = canParaphrase ? null : onToken;
 
-  // 4) Answer: RAG if possible, else LLM fallback with conversation hint
+  // 4) Answer: cited RAG generation if possible, else LLM fallback with conversation hint
   let answer;
   let mode;
-  if(usable.length){
+  if(usable.length && generator && !opts.raw){
+    // history without the message we just pushed
+    const history = summarizeRecentHistory(state.messages.slice(0, -1), 4);
+    answer = await generator.generate(buildGroundedPrompt(userText, usable, history), { onToken: draftToken, signal: opts.signal });
+    mode = "rag";
+  } else if(usable.length){
     answer = formatAnswer(usable[0]);
     mode = "rag";
+    if (draftToken) draftToken(answer);
   } else if (llm && typeof llm.generate === "function"){
     const hint = summarizeRecentHistory(state.messages, 6);
     answer = await llm.generate(
-      `Using the conversation below, answer the latest user message as best you can, concisely.\n\n${hint}\n\nUser: ${userText}\nAssistant:`
+      `Using the conversation below, answer the latest user message as best you can, concisely.\n\n${hint}\n\nUser: ${userText}\nAssistant:`,
+      { onToken: draftToken, signal: opts.signal }
     );
     mode = "llm_fallback";
   } else {
     answer = "I don’t have that in the documents yet.";
     mode = "unknown";
+    if (draftToken) draftToken(answer);
   }
 
   // optional: paraphrase final style (kept off by default)
-  if (opts.paraphrase && llm && typeof llm.generate === "function"){
-    answer = await llm.generate(`Rewrite the following answer to be clear, concise, and friendly, preserving facts:\n\n${answer}`);
+  if (canParaphrase){
+    answer = await llm.generate(
+      `Rewrite the following answer to be clear, concise, and friendly, preserving facts and [n] citation markers:\n\n${answer}`,
+      { onToken, signal: opts.signal }
+    );
   }
 
   state.messages.push({ role: "assistant", content: answer });
-  return { text: answer, hits: usable, mode };
+  return { text: answer, hits: usable, mode, query: rewritten };
 }
 
 module.exports = {
   initState,
   updateState,
   rewriteQuery,
+  rewriteQueryWithLLM,
   selectUsable,
+  buildGroundedPrompt,
+  citeLocation,
   answerTurn
 };
\ No newline at end of file
@@ -7,6 +7,9 @@ const Database = require('better-sqlite3');
 const DB_DIR = path.resolve('db');
 if (!fs.existsSync(DB_DIR)) fs.mkdirSync(DB_DIR, { recursive: true });
 
+// PRAGMA user_version: 1 = docs keyed by relative path (0 = legacy basename keys)
+const DOC_KEY_VERSION = 1;
+
 function dbPathFor(name){
   return path.join(DB_DIR, `${name}.db`);
 }
@@ -18,14 +21,25 @@ function openDb(name){
   return db;
 }
 
-function resetDb(name){
-  const p = dbPathFor(name);
-  if (fs.existsSync(p)) fs.unlinkSync(p);
-  const db = openDb(name);
+/** removeDb(file): delete a DB file along with its WAL side files */
+function removeDb(file){
+  for (const f of [file, `${file}-wal`, `${file}-shm`]) fs.rmSync(f, { force: true });
+}
+
+/** createDb(file): fresh DB with the full schema at an explicit path (e.g. db/<kb>.db.tmp) */
+function createDb(file){
+  removeDb(file);
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
   createSchema(db);
+  db.pragma(`user_version = ${DOC_KEY_VERSION}`);
   return db;
 }
 
+function resetDb(name){
+  return createDb(dbPathFor(name));
+}
+
 function createSchema(db){
   db.exec(`
     CREATE TABLE IF NOT EXISTS chunks (
@@ -33,7 +47,8 @@ function createSchema(db){
       doc       TEXT NOT NULL,
       chunk_id  INTEGER NOT NULL,
       text      TEXT NOT NULL,
-      emb       BLOB NOT NULL
+      emb       BLOB NOT NULL,
+      meta      TEXT              -- JSON per-chunk metadata, e.g. {"section":"A > B"}
     );
     CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
       text, content='chunks', content_rowid='id'
@@ -56,6 +71,86 @@ function createSchema(db){
     );
     CREATE INDEX IF NOT EXISTS idx_chunks_doc ON chunks(doc);
   `);
+  ensureChunkMeta(db);
+  createDocsTable(db);
+  createMetaTable(db);
+}
+
+const hasColumn = (db, table, col) => db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === col);
+
+/** ensureChunkMeta(db): add chunks.meta to DBs created before it existed */
+function ensureChunkMeta(db){
+  if (!hasColumn(db, 'chunks', 'meta')) db.exec(`ALTER TABLE chunks ADD COLUMN meta TEXT`);
+}
+
+// ---------- docs: per-document metadata (lib/ingest.js describeDoc), used by retrieval filters ----------
+function createDocsTable(db){
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS docs (
+      doc    TEXT PRIMARY KEY,  -- path relative to data/<kb>/, as in chunks.doc
+      title  TEXT,
+      type   TEXT,              -- loader type: txt, md, pdf, html, …
+      mtime  TEXT,              -- file modification time when indexed (ISO)
+      tags   TEXT,              -- JSON array
+      fields TEXT               -- JSON: front matter, sidecar .meta.json and loader fields
+    )
+  `);
+}
+
+/** saveDoc(db, doc, { title, type, mtime, tags, fields }): insert or replace a docs row */
+function saveDoc(db, doc, { title = null, type = null, mtime = null, tags = [], fields = {} } = {}){
+  db.prepare(`INSERT OR REPLACE INTO docs (doc, title, type, mtime, tags, fields) VALUES (?, ?, ?, ?, ?, ?)`)
+    .run(doc, title, type, mtime, JSON.stringify(tags), JSON.stringify(fields));
+}
+
+// ---------- kb_meta: what produced the stored embeddings ----------
+//   emb_model, emb_dim, chunk_tokens, overlap_tokens, built_at, updated_at (ISO timestamps)
+//   (KBs chunked by characters, before token sizing, have chunk_size / overlap instead)
+const META_NUMBERS = new Set(['emb_dim', 'chunk_tokens', 'overlap_tokens', 'chunk_size', 'overlap']);
+
+function createMetaTable(db){
+  db.exec(`CREATE TABLE IF NOT EXISTS kb_meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+}
+
+/** readKbMeta(db): { emb_model, emb_dim, … } or null for DBs built before kb_meta existed */
+function readKbMeta(db){
+  const has = db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='kb_meta'`).get();
+  if (!has) return null;
+  const meta = {};
+  for (const { key, value } of db.prepare(`SELECT key, value FROM kb_meta`).all()) {
+    meta[key] = META_NUMBERS.has(key) ? Number(value) : value;
+  }
+  return meta;
+}
+
+/** writeKbMeta(db, fields): upsert the given keys (undefined/null values are skipped) */
+function writeKbMeta(db, fields){
+  createMetaTable(db);
+  const put = db.prepare(`INSERT INTO kb_meta(key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value=excluded.value`);
+  db.transaction(() => {
+    for (const [k, v] of Object.entries(fields)) if (v != null) put.run(k, String(v));
+  })();
+}
+
+/**
+ * kbMetaMismatch(meta, { model, dim }): a human-readable reason the stored embeddings
+ * can't be compared with `model`/`dim` vectors, or null when they match.
+ * Unknown fields (legacy DBs) are not held against the KB.
+ */
+function kbMetaMismatch(meta, { model, dim }){
+  if (!meta) return null;
+  if (meta.emb_model && model && meta.emb_model !== model) {
+    return `embedded with "${meta.emb_model}"${meta.emb_dim ? ` (${meta.emb_dim}-d)` : ''}, but EMB_MODEL is "${model}"`;
+  }
+  if (meta.emb_dim && dim && meta.emb_dim !== dim) {
+    return `stores ${meta.emb_dim}-d embeddings, but "${model}" returns ${dim}-d vectors`;
+  }
+  return null;
 }
 
-module.exports = { DB_DIR, dbPathFor, openDb, resetDb, createSchema };
+module.exports = {
+  DB_DIR, DOC_KEY_VERSION, dbPathFor, openDb, removeDb, createDb, resetDb, createSchema,
+  hasColumn, ensureChunkMeta, createDocsTable, saveDoc,
+  createMetaTable, readKbMeta, writeKbMeta, kbMetaMismatch
+};
@@ -6,27 +6,32 @@ const { CONF_THRESH } = llm;
 
 const MODE = (process.env.MODE || "rag").toLowerCase();
 
+// few-shot indices from llm.init(), kept for answerOnceLLM
+let llmStore = null;
+
 async function init() {
   if (MODE === "rag")   { await (retriever.initRetrieval?.() || Promise.resolve()); return; }
-  if (MODE === "llm")   { await llm.init(); return; }
-  if (MODE === "hybrid"){ await llm.init(); await (retriever.initRetrieval?.() || Promise.resolve()); return; }
+  if (MODE === "llm")   { llmStore = await llm.init(); return; }
+  if (MODE === "hybrid"){ llmStore = await llm.init(); await (retriever.initRetrieval?.() || Promise.resolve()); return; }
   // unknown → default to rag
   await (retriever.initRetrieval?.() || Promise.resolve());
 }
 
-async function answerOnce(q) {
-  if (MODE === "llm") return llm.answerOnce(q);
-  if (MODE === "rag") return retriever.answerOnce(q);
+// opts are passed through to both runners (kbs/exclude for RAG, onToken/signal for streaming)
+async function answerOnce(q, opts = {}) {
+  if (MODE === "llm") return { ...(await llm.answerOnceLLM(q, llmStore, opts)), mode: "llm" };
+  if (MODE !== "hybrid") return { ...(await retriever.answerOnce(q, opts)), mode: "rag" };
 
   // hybrid: try LLM first, fallback to RAG if low confidence
-  const first = await llm.answerOnce(q);
-  if ((first.confidence || 0) >= CONF_THRESH && first.text) return first;
+  const first = await llm.answerOnceLLM(q, llmStore, opts);
+  if ((first.confidence || 0) >= CONF_THRESH && first.text) return { ...first, mode: "llm" };
 
-  const second = await retriever.answerOnce(q);
+  const second = await retriever.answerOnce(q, opts);
   // merge sources (optional): mark fallback
   return {
     text: second.text,
     hits: [...(first.hits||[]), ...(second.hits||[])],
+    mode: "rag",
     fallback: "rag"
   };
 }
@@ -36,4 +41,4 @@ async function discoverDbNames() {
   return (retriever.discoverDbNames?.() || []);
 }
 
-module.exports = { init, answerOnce, discoverDbNames, MODE };
\ No newline at end of file
+module.exports = { init, answerOnce, discoverDbNames, MODE };
@@ -0,0 +1,132 @@
+// lib/filter.js
+// Metadata filter expressions for retrieval, e.g.
+//   tags:hr AND type:pdf
+//   mtime>=2024-01-01 AND NOT path:drafts/*
+//   (type:md OR type:html) title:"leave policy"        (juxtaposition = AND)
+// Fields are the per-chunk records built by lib/retriever.js: path, title, type, mtime, tags,
+// section, page (matches the chunk's page range), and any front-matter / sidecar key.
+//   field:value  field=value   equal, case-insensitive; "*" / "?" are wildcards; lists match any item
+//   field!=value                 not equal
+//   field>v  >=  <  <=           numbers numerically, dates ("2024", "2024-03-01") chronologically
+// A missing field never matches (except for !=).
+
+function filterError(message){
+  const err = new Error(`Invalid filter: ${message}`);
+  err.code = 'BAD_FILTER';
+  return err;
+}
+
+const TOKEN = /\s*(?:(\()|(\))|("(?:[^"\\]|\\.)*")|([^\s()"]+))/y;
+
+function tokenize(expr){
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  const s = String(expr);
+  while (TOKEN.lastIndex < s.length) {
+    const at = TOKEN.lastIndex;
+    const m = TOKEN.exec(s);
+    if (!m) {
+      if (!s.slice(at).trim()) break;
+      throw filterError(`unexpected input at "${s.slice(at).trim()}"`);
+    }
+    if (m[1] || m[2]) tokens.push({ t: m[1] || m[2] });
+    else if (m[3]) tokens.push({ t: 'str', v: JSON.parse(m[3]) });
+    else tokens.push({ t: 'word', v: m[4] });
+  }
+  return tokens;
+}
+
+const COND = /^([\w.-]+)(:|!=|>=|<=|=|>|<)(.*)$/;
+const DATE = /^\d{4}(?:-\d\d(?:-\d\d(?:[T ][\d:.]+(?:Z|[+-]\d\d:?\d\d)?)?)?)?$/;
+
+const glob = (pattern) => new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+
+// ordering of a record value against the filter value: <0, 0, >0, or NaN when not comparable
+function compare(a, b){
+  if (a == null || a === '') return NaN;
+  if (typeof a === 'number' || (/^-?\d+(\.\d+)?$/.test(String(a)) && /^-?\d+(\.\d+)?$/.test(b))) return Number(a) - Number(b);
+  if (DATE.test(b)) {
+    const x = Date.parse(a), y = Date.parse(b);
+    return Number.isNaN(x) || Number.isNaN(y) ? NaN : x - y;
+  }
+  return String(a).localeCompare(b, undefined, { sensitivity: 'base' });
+}
+
+function condition(field, op, value){
+  const re = glob(value);
+  const equals = (v) => v != null && (Array.isArray(v) ? v.some(x => re.test(String(x))) : re.test(String(v)));
+  const ord = { '>': d => d > 0, '>=': d => d >= 0, '<': d => d < 0, '<=': d => d <= 0 }[op];
+
+  if (field === 'page') {
+    // page N is in the chunk's [page_start, page_end] range
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw filterError(`page needs a number, got "${value}"`);
+    const range = (r) => (r.page_start == null ? null : [r.page_start, r.page_end ?? r.page_start]);
+    const test = {
+      ':': ([a, b]) => a <= n && n <= b, '=': ([a, b]) => a <= n && n <= b, '!=': ([a, b]) => n < a || n > b,
+      '>': ([, b]) => b > n, '>=': ([, b]) => b >= n, '<': ([a]) => a < n, '<=': ([a]) => a <= n
+    }[op];
+    return (r) => { const pr = range(r); return pr ? test(pr) : op === '!='; };
+  }
+  if (op === ':' || op === '=') return (r) => equals(r[field]);
+  if (op === '!=') return (r) => !equals(r[field]);
+  return (r) => {
+    const v = r[field];
+    return (Array.isArray(v) ? v : [v]).some(x => ord(compare(x, value)));
+  };
+}
+
+/**
+ * compileFilter(expr): predicate(record) → boolean; null for an empty expression.
+ * Throws an Error with code "BAD_FILTER" on a syntax error.
+ */
+function compileFilter(expr){
+  if (expr == null || !String(expr).trim()) return null;
+  const tokens = tokenize(expr);
+  let i = 0;
+  const peekWord = (w) => tokens[i] && tokens[i].t === 'word' && tokens[i].v.toUpperCase() === w;
+
+  function parseOr(){
+    let left = parseAnd();
+    while (peekWord('OR')) {
+      i++;
+      const a = left, b = parseAnd();
+      left = (r) => a(r) || b(r);
+    }
+    return left;
+  }
+  function parseAnd(){
+    let left = parseNot();
+    while (i < tokens.length && tokens[i].t !== ')' && !peekWord('OR')) {
+      if (peekWord('AND')) i++;
+      const a = left, b = parseNot();
+      left = (r) => a(r) && b(r);
+    }
+    return left;
+  }
+  function parseNot(){
+    if (peekWord('NOT')) { i++; const a = parseNot(); return (r) => !a(r); }
+    const tok = tokens[i++];
+    if (!tok) throw filterError('unexpected end of expression');
+    if (tok.t === '(') {
+      const inner = parseOr();
+      if (!tokens[i] || tokens[i].t !== ')') throw filterError('missing ")"');
+      i++;
+      return inner;
+    }
+    if (tok.t !== 'word') throw filterError(`expected field:value, got ${tok.t === 'str' ? JSON.stringify(tok.v) : `"${tok.t}"`}`);
+    const m = tok.v.match(COND);
+    if (!m) throw filterError(`expected field:value, got "${tok.v}"`);
+    let value = m[3];
+    // field:"quoted value" arrives as two tokens
+    if (!value && tokens[i] && tokens[i].t === 'str') value = tokens[i++].v;
+    if (!value) throw filterError(`missing value for "${m[1]}"`);
+    return condition(m[1].toLowerCase(), m[2], value);
+  }
+
+  const pred = parseOr();
+  if (i < tokens.length) throw filterError(`unexpected "${tokens[i].v ?? tokens[i].t}"`);
+  return pred;
+}
+
+module.exports = { compileFilter };
@@ -0,0 +1,277 @@
+// lib/formats.js
+// Pure-JS text extraction for structured formats (used by lib/loaders.js):
+//   HTML → text with "#" headings, boilerplate (nav/header/footer/scripts…) removed
+//   DOCX → paragraphs/tables from word/document.xml, Heading styles as "#" headings
+//   CSV / JSON → one "column: value; …" block per row / record, so every chunk keeps its keys
+//   PDF pages → running headers/footers and page numbers removed (text extraction is pdf-parse's)
+//   Markdown front matter → a flat { key: value | [values] } object
+const { readEntry } = require('./zip');
+
+// ---------- entities ----------
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', deg: '°', middot: '·', bull: '•'
+};
+
+function decodeEntities(s){
+  return String(s || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// collapse spaces inside lines and runs of blank lines
+function tidyLines(s){
+  return s
+    .split('\n')
+    .map(l => l.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ---------- HTML ----------
+// dropped with their content: never useful
+const HTML_DROP = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'head', 'form'];
+// site chrome repeated on every page — but only outside <main>/<article>, where a <header> holds
+// the article's title and a <footer>/<aside> its notes
+const HTML_CHROME = ['nav', 'header', 'footer', 'aside'];
+const HTML_CONTENT = /<(main|article)\b[^>]*>[\s\S]*?<\/\1>/gi;
+const HTML_BLOCK = /<\/?(?:p|div|section|article|main|blockquote|pre|ul|ol|dl|dt|dd|table|thead|tbody|tfoot|tr|figure|figcaption|hr|address|header|footer|aside|nav)\b[^>]*>/gi;
+
+function dropChrome(html){
+  for (const tag of HTML_CHROME) html = html.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  return html.replace(/<([a-z][a-z0-9]*)\b[^>]*\brole=["']?(?:navigation|banner|contentinfo)["']?[^>]*>[\s\S]*?<\/\1>/gi, ' ');
+}
+
+// dropChrome() on everything outside <main>/<article>
+function dropPageChrome(html){
+  let out = '', last = 0;
+  for (const m of html.matchAll(HTML_CONTENT)) {
+    out += dropChrome(html.slice(last, m.index)) + m[0];
+    last = m.index + m[0].length;
+  }
+  return out + dropChrome(html.slice(last));
+}
+
+/** htmlToText(html): { text, title } */
+function htmlToText(html){
+  let s = String(html || '');
+  const title = decodeEntities((s.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '').replace(/\s+/g, ' ').trim();
+
+  s = s.replace(/<!--[\s\S]*?-->/g, '');
+  for (const tag of HTML_DROP) s = s.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  s = dropPageChrome(s);
+  // prefer the main content when the page marks it
+  const main = s.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i) || s.match(/<article\b[^>]*>([\s\S]*?)<\/article>/i);
+  if (main) s = main[1];
+
+  s = s
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, n, inner) =>
+      `\n\n${'#'.repeat(Number(n))} ${inner.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]>\s*<t[dh]\b[^>]*>/gi, ' | ')
+    .replace(HTML_BLOCK, '\n\n')
+    .replace(/<\/li>/gi, '')
+    .replace(/<[^>]+>/g, ' ');
+
+  return { text: tidyLines(decodeEntities(s).replace(/\r\n?/g, '\n')), title };
+}
+
+// ---------- DOCX ----------
+const xmlText = (xml) => decodeEntities(String(xml || '').replace(/<[^>]+>/g, ''));
+const W_PARA = /<w:p\b(?:[^>]*\/>|[\s\S]*?<\/w:p>)/g;
+
+// one <w:p>: runs of <w:t>, tabs and breaks; Heading N / Title styles → "#" headings, list items → "- "
+function docxParagraph(p){
+  let text = '';
+  for (const m of p.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>/g)) {
+    text += m[1] !== undefined ? m[1] : (m[0] === '<w:tab/>' ? '\t' : '\n');
+  }
+  const line = decodeEntities(text).trim();
+  if (!line) return '';
+  const style = (p.match(/<w:pStyle w:val="([^"]+)"/) || [])[1] || '';
+  const level = /^Title$/i.test(style) ? 1 : Number((style.match(/^Heading(\d)$/i) || [])[1] || 0);
+  if (level) return `${'#'.repeat(level)} ${line}`;
+  if (/<w:numPr>/.test(p)) return `- ${line}`;
+  return line;
+}
+
+/** docxToText(buf): { text, title } from a .docx (zip) buffer */
+function docxToText(buf){
+  const doc = readEntry(buf, 'word/document.xml');
+  if (!doc) throw new Error('not a DOCX file (word/document.xml missing)');
+  const xml = doc.toString('utf8');
+  const body = (xml.match(/<w:body>([\s\S]*)<\/w:body>/) || [, xml])[1];
+
+  const out = [];
+  // tables become one "cell | cell" line per row; other paragraphs one block each
+  const parts = body.split(/(<w:tbl>[\s\S]*?<\/w:tbl>)/);
+  for (const part of parts) {
+    if (part.startsWith('<w:tbl>')) {
+      const rows = part.match(/<w:tr\b[\s\S]*?<\/w:tr>/g) || [];
+      const lines = rows.map(r => (r.match(/<w:tc\b[\s\S]*?<\/w:tc>/g) || [])
+        .map(c => (c.match(W_PARA) || []).map(docxParagraph).filter(Boolean).join(' '))
+        .join(' | '));
+      out.push(lines.filter(l => l.replace(/[|\s]/g, '')).join('\n'));
+      continue;
+    }
+    for (const p of part.match(W_PARA) || []) out.push(docxParagraph(p));
+  }
+
+  const core = readEntry(buf, 'docProps/core.xml');
+  const title = core ? xmlText((core.toString('utf8').match(/<dc:title>([\s\S]*?)<\/dc:title>/) || [])[1]).trim() : '';
+  return { text: tidyLines(out.filter(Boolean).join('\n\n')), title };
+}
+
+// ---------- front matter ----------
+const unquote = (v) => v.trim().replace(/^(["'])(.*)\1$/, '$2');
+
+/**
+ * parseFrontMatter(text): { data, body } — a leading "---" YAML block, read as flat
+ * key: value pairs (inline [a, b] and "- item" lists become arrays; nesting is not supported).
+ * Text without front matter comes back as { data: {}, body: text }.
+ */
+function parseFrontMatter(text){
+  const s = String(text || '').replace(/^\uFEFF/, '');
+  const m = s.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (!m) return { data: {}, body: s };
+  const data = {};
+  let list = null; // key whose "- item" lines are being collected
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    const item = line.match(/^\s+-\s+(.*)$|^-\s+(.*)$/);
+    if (item && list) { data[list].push(unquote(item[1] ?? item[2])); continue; }
+    const kv = line.match(/^([\w.-]+)\s*:\s*(.*)$/);
+    if (!kv) continue;
+    const [, key, raw] = kv;
+    list = null;
+    if (!raw.trim()) { data[key] = []; list = key; }
+    else if (/^\[.*\]$/.test(raw.trim())) data[key] = raw.trim().slice(1, -1).split(',').map(unquote).filter(Boolean);
+    else data[key] = unquote(raw);
+  }
+  return { data, body: s.slice(m[0].length) };
+}
+
+// ---------- PDF ----------
+// "Page 3", "3 / 12", "- 3 -", "iv" …: a line that is only a page number
+const PAGE_NUMBER = /^(?:page\s*)?[-–—]?\s*(?:\d+|[ivx]{1,5})\s*[-–—]?(?:\s*(?:of|\/)\s*\d+)?$/i;
+const EDGE_LINES = 3; // header/footer candidates: the first and last few lines of each page
+
+/**
+ * cleanPdfPages(pages): per-page text with repeated headers/footers and page numbers removed.
+ * A line near the top or bottom of a page counts as a header/footer when the same line (digits
+ * ignored, so "Page 3 of 9" matches "Page 4 of 9") sits near the edge of at least half the pages.
+ */
+function cleanPdfPages(pages){
+  const split = pages.map(p => String(p || '').replace(/\r\n?/g, '\n').split('\n').map(l => l.trim()));
+  const key = (l) => l.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+  const edges = (lines) => {
+    const idx = lines.map((l, i) => (l ? i : -1)).filter(i => i >= 0);
+    return new Set([...idx.slice(0, EDGE_LINES), ...idx.slice(-EDGE_LINES)]);
+  };
+
+  const seen = new Map(); // key → number of pages with it at an edge
+  for (const lines of split) {
+    for (const k of new Set([...edges(lines)].map(i => key(lines[i])))) seen.set(k, (seen.get(k) || 0) + 1);
+  }
+  const min = Math.max(2, Math.ceil(split.length / 2));
+
+  return split.map(lines => {
+    const drop = edges(lines);
+    return tidyLines(lines
+      .filter((l, i) => !(drop.has(i) && (PAGE_NUMBER.test(l) || (seen.get(key(l)) || 0) >= min)))
+      .join('\n'));
+  });
+}
+
+// ---------- CSV ----------
+/** parseCsv(text, delimiter?): string[][] (RFC 4180 quoting; delimiter sniffed from the first line) */
+function parseCsv(text, delimiter){
+  const s = String(text || '').replace(/^\uFEFF/, '');
+  if (!delimiter) {
+    const first = s.slice(0, s.indexOf('\n') >= 0 ? s.indexOf('\n') : s.length);
+    const counts = [',', ';', '\t'].map(d => [d, first.split(d).length]);
+    delimiter = counts.sort((a, b) => b[1] - a[1])[0][0];
+  }
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === delimiter) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+// "key: value; key: value" — the shared record shape for CSV rows and JSON records
+function recordLine(pairs){
+  return pairs
+    .map(([k, v]) => [String(k).trim(), String(v ?? '').replace(/\s+/g, ' ').trim()])
+    .filter(([, v]) => v)
+    .map(([k, v]) => (k ? `${k}: ${v}` : v))
+    .join('; ');
+}
+
+/** csvToText(text, delimiter?): { text, rows, columns } — header row gives every value its column name */
+function csvToText(text, delimiter){
+  const [header = [], ...rows] = parseCsv(text, delimiter);
+  const columns = header.map((h, i) => h.trim() || `column ${i + 1}`);
+  const blocks = rows.map(r => recordLine(r.map((v, i) => [columns[i] || `column ${i + 1}`, v])));
+  return { text: blocks.filter(Boolean).join('\n\n'), rows: rows.length, columns };
+}
+
+// ---------- JSON ----------
+// nested objects flatten to dotted keys; arrays of scalars join with ", "
+function flatten(value, prefix, out){
+  if (value === null || typeof value !== 'object') { out.push([prefix, value]); return out; }
+  if (Array.isArray(value)) {
+    if (value.every(v => v === null || typeof v !== 'object')) { out.push([prefix, value.filter(v => v != null).join(', ')]); return out; }
+    value.forEach((v, i) => flatten(v, prefix ? `${prefix}[${i}]` : `[${i}]`, out));
+    return out;
+  }
+  for (const [k, v] of Object.entries(value)) flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  return out;
+}
+
+const isRecord = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+// the records in a JSON document: a top-level array, arrays of objects under top-level keys
+// ({ "employees": [...] } → each record tagged with its key), or the document itself
+function jsonRecords(data){
+  if (Array.isArray(data)) return data.map(v => (isRecord(v) ? v : { value: v }));
+  if (!isRecord(data)) return [{ value: data }];
+  const lists = Object.entries(data).filter(([, v]) => Array.isArray(v) && v.length && v.every(isRecord));
+  if (!lists.length) return [data];
+  const rest = Object.fromEntries(Object.entries(data).filter(([k]) => !lists.some(([l]) => l === k)));
+  const records = lists.flatMap(([key, list]) => list.map(r => ({ ...r, _group: key })));
+  if (Object.keys(rest).length) records.unshift(rest);
+  return records;
+}
+
+/** jsonToText(text): { text, records } — one block per record */
+function jsonToText(text){
+  const records = jsonRecords(JSON.parse(String(text || '').replace(/^\uFEFF/, '')));
+  const blocks = records.map(r => {
+    const { _group, ...fields } = r;
+    const line = recordLine(flatten(fields, '', []));
+    return _group && line ? `${_group}: ${line}` : line;
+  });
+  return { text: blocks.filter(Boolean).join('\n\n'), records: records.length };
+}
+
+module.exports = { decodeEntities, htmlToText, docxToText, parseFrontMatter, cleanPdfPages, parseCsv, csvToText, jsonToText };
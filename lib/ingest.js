@@ -0,0 +1,180 @@
+// lib/ingest.js
+// Shared ingestion pipeline for build.js and update.js:
+//   listDocs → chunkFile (lib/loaders.js → lib/chunking.js, + describeDoc) → embedDocs (lib/llm.js, batched + progress)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const glob = require('glob');
+const { getLoader, loadDoc } = require('./loaders');
+const { parseBlocks, packBlocks, packPages, parseMarkdown, packMarkdown } = require('./chunking');
+const { embedBatch, EMB_BATCH, EMB_CONCURRENCY } = require('./llm');
+const { createProgress } = require('./progress');
+const { countTokens, maxTokensFor, CHARS_PER_TOKEN } = require('./tokens');
+
+const EMB_MODEL  = process.env.EMB_MODEL || 'nomic-embed-text';
+// chunk size / overlap in approximate tokens (lib/tokens.js); the older character-based
+// CHUNK_SIZE / OVERLAP are still honored (÷ CHARS_PER_TOKEN, the estimator's own ratio) when the token settings are unset
+const fromChars  = (v) => (v ? Math.round(Number(v) / CHARS_PER_TOKEN) : undefined);
+const CHUNK_TOKENS   = Number(process.env.CHUNK_TOKENS || fromChars(process.env.CHUNK_SIZE) || 256);
+const OVERLAP_TOKENS = Number(process.env.OVERLAP_TOKENS || fromChars(process.env.OVERLAP) || 32);
+// the embedder truncates input past this; chunks that would hit it are reported
+const MAX_TOKENS = maxTokensFor(EMB_MODEL);
+// chunks embedded per round (whole docs only); each round is then committed doc by doc
+const WINDOW     = EMB_BATCH * EMB_CONCURRENCY * 2;
+
+// optional metadata next to a doc: "report.pdf" → "report.pdf.meta.json" ({ "title": …, "tags": […], … })
+const SIDECAR = '.meta.json';
+const sidecarFor = (file) => file + SIDECAR;
+
+const f32buf   = (arr) => Buffer.from(new Float32Array(arr).buffer);
+// content hash of a doc; its sidecar is hashed along with it, so editing the sidecar re-indexes the doc
+function hashFile(file){
+  const h = crypto.createHash('sha1').update(fs.readFileSync(file));
+  if (fs.existsSync(sidecarFor(file))) h.update(fs.readFileSync(sidecarFor(file)));
+  return h.digest('hex');
+}
+// Docs are keyed by their path relative to the KB folder ("2024/report.pdf"), always with "/"
+const docKey   = (dataDir, file) => path.relative(dataDir, file).split(path.sep).join('/');
+
+// Office lock files ("~$policy.docx") sit next to open documents and are not documents themselves
+const isLockFile = (file) => path.basename(file).startsWith('~$');
+
+/** listDocs(dataDir): files under dataDir that have a registered loader (sidecars, lock files excluded), sorted */
+function listDocs(dataDir){
+  return glob.sync(`${dataDir}/**/*`, { nodir: true })
+    .filter(f => getLoader(f) && !f.toLowerCase().endsWith(SIDECAR) && !isLockFile(f))
+    .sort();
+}
+
+// loadDoc, but a file its loader can't read (malformed JSON, a corrupt DOCX/PDF) is reported
+// and skipped instead of failing the whole build → undefined (null still means "no loader")
+async function tryLoadDoc(file){
+  try {
+    return await loadDoc(file);
+  } catch (e) {
+    console.warn(`(warn) ${file}: could not be read (${e?.message || e}); skipped`);
+    return undefined;
+  }
+}
+
+function readSidecar(file){
+  const p = sidecarFor(file);
+  if (!fs.existsSync(p)) return {};
+  try {
+    const data = JSON.parse(fs.readFileSync(p, 'utf8'));
+    if (data && typeof data === 'object' && !Array.isArray(data)) return data;
+    console.warn(`(warn) ${p}: expected a JSON object; ignored`);
+  } catch (e) {
+    console.warn(`(warn) ${p}: ${e.message}; ignored`);
+  }
+  return {};
+}
+
+// "hr, policy" | ["HR", "policy"] → ["hr", "policy"]
+const toTags = (v) => (Array.isArray(v) ? v : String(v ?? '').split(','))
+  .map(t => String(t).trim().toLowerCase()).filter(Boolean);
+
+/**
+ * describeDoc(file, loaded): the docs-table record { title, type, mtime, tags, fields }.
+ * Sidecar values win over front matter, which wins over what the loader found; the title falls
+ * back to the first Markdown heading. Any other key lands in fields (filterable by name).
+ */
+function describeDoc(file, loaded){
+  const { type, title, frontMatter = {}, ...loaderFields } = loaded.meta;
+  const side = readSidecar(file);
+  const { title: fmTitle, tags: fmTags, keywords, ...fmFields } = frontMatter;
+  const { title: sideTitle, tags: sideTags, ...sideFields } = side;
+  const heading = loaded.chunker === 'markdown' && (loaded.text.match(/^#\s+(.+?)\s*#*\s*$/m) || [])[1];
+  return {
+    title: sideTitle || fmTitle || title || heading || null,
+    type,
+    mtime: new Date(fs.statSync(file).mtimeMs).toISOString(),
+    tags: [...new Set([...toTags(fmTags ?? keywords), ...toTags(sideTags)])],
+    fields: { ...loaderFields, ...fmFields, ...sideFields }
+  };
+}
+
+/**
+ * chunkFile(file): { parts: [{ text, meta }], meta, failed? } — parts is [] for unsupported, empty or
+ * unreadable files (failed: true for the latter, after a warning).
+ * Part meta is per-chunk — { section: "Refund policy > Exceptions" } from the Markdown chunker,
+ * { page_start, page_end } for paged docs (PDF); the outer meta is the doc record (describeDoc).
+ * Warns when chunks exceed the embedding model's input limit (they would be truncated).
+ */
+async function chunkFile(file){
+  const loaded = await tryLoadDoc(file);
+  if (loaded === undefined) return { parts: [], meta: {}, failed: true };
+  if (!loaded || !loaded.text.trim()) return { parts: [], meta: loaded ? describeDoc(file, loaded) : {} };
+  let parts;
+  if (loaded.pages) {
+    parts = packPages(loaded.pages, CHUNK_TOKENS, OVERLAP_TOKENS)
+      .map(({ text, pages: [from, to] }) => ({ text, meta: { page_start: from, page_end: to } }));
+  } else if (loaded.chunker === 'markdown') {
+    parts = packMarkdown(parseMarkdown(loaded.text), CHUNK_TOKENS, OVERLAP_TOKENS)
+      .map(({ text, section }) => ({ text, meta: section ? { section } : {} }));
+  } else {
+    parts = packBlocks(parseBlocks(loaded.text), CHUNK_TOKENS, OVERLAP_TOKENS).map(text => ({ text, meta: {} }));
+  }
+  warnOversized(file, parts);
+  return { parts, meta: describeDoc(file, loaded) };
+}
+
+/** describeFile(file): describeDoc without chunking (backfills docs rows for unchanged files) */
+async function describeFile(file){
+  const loaded = await tryLoadDoc(file);
+  return loaded ? describeDoc(file, loaded) : null;
+}
+
+// max-token guard: chunk sizes are estimates, and overlap / heading prefixes add to them
+function warnOversized(file, parts){
+  const over = parts.map(p => countTokens(p.text)).filter(n => n > MAX_TOKENS);
+  if (!over.length) return;
+  console.warn(`(warn) ${file}: ${over.length} chunk(s) of up to ~${Math.max(...over)} tokens exceed ${EMB_MODEL}'s ` +
+    `${MAX_TOKENS}-token input and will be truncated when embedded. Lower CHUNK_TOKENS (now ${CHUNK_TOKENS}) ` +
+    `or set EMB_MAX_TOKENS if the model accepts more.`);
+}
+
+// chunks.meta column value: JSON, or NULL when there is nothing to store
+const chunkMetaJson = (meta) => (meta && Object.keys(meta).length ? JSON.stringify(meta) : null);
+
+/**
+ * embedDocs(pending, commit): embed [{ parts: [{ text }], … }] a window of whole docs at a time
+ * behind one progress bar, then call commit(entry, vectors) for each doc in order.
+ * Callers commit each doc in its own transaction, so an interruption loses at most one window.
+ * Returns the embedding dimension (undefined when nothing was embedded).
+ */
+async function embedDocs(pending, commit){
+  const total = pending.reduce((n, p) => n + p.parts.length, 0);
+  if (!total) return undefined;
+  const bar = createProgress(total);
+  let embedded = 0;
+  let dim;
+
+  for (let i = 0; i < pending.length;) {
+    const group = [];
+    let size = 0;
+    while (i < pending.length && (!group.length || size + pending[i].parts.length <= WINDOW)) {
+      size += pending[i].parts.length;
+      group.push(pending[i++]);
+    }
+    const base = embedded;
+    const vectors = await embedBatch(EMB_MODEL, group.flatMap(g => g.parts.map(p => p.text)), {
+      onProgress: (done) => bar.update(base + done)
+    });
+    embedded += size;
+    if (vectors.length) dim = vectors[0].length;
+
+    let v = 0;
+    for (const entry of group) {
+      commit(entry, vectors.slice(v, v + entry.parts.length));
+      v += entry.parts.length;
+    }
+  }
+  bar.done();
+  return dim;
+}
+
+module.exports = {
+  EMB_MODEL, CHUNK_TOKENS, OVERLAP_TOKENS, MAX_TOKENS,
+  f32buf, hashFile, docKey, listDocs, chunkFile, describeFile, chunkMetaJson, embedDocs
+};
@@ -1,27 +1,47 @@
 // lib/llm.js
-// Ollama wrappers for embeddings + short text generation.
-const { Ollama } = require('ollama');
+// Embedding + short text generation wrappers over the configured provider (lib/provider.js).
+const { getProvider } = require('./provider');
 
-function client(){
-  const host = process.env.OLLAMA_HOST || 'http://127.0.0.1:11434';
-  return new Ollama({ host });
-}
+// texts per embed request, and how many requests may be in flight at once
+const EMB_BATCH       = Number(process.env.EMB_BATCH || 32);
+const EMB_CONCURRENCY = Number(process.env.EMB_CONCURRENCY || 2);
 
 async function embedText(model, text){
-  const ollama = client();
-  const { embedding } = await ollama.embeddings({ model, prompt: text });
-  return Float32Array.from(embedding);
+  return getProvider().embed(model, text);
 }
 
-async function embedBatch(model, texts){
-  const out = [];
-  for (const t of texts) out.push(await embedText(model, t));
+/**
+ * embedBatch(model, texts, { batchSize?, concurrency?, onProgress? })
+ * Embeds in batches of `batchSize` with up to `concurrency` requests in flight.
+ * Results keep the input order; onProgress(done, total) fires after each batch.
+ */
+async function embedBatch(model, texts, opts = {}){
+  const provider = getProvider();
+  const size = Math.max(1, opts.batchSize ?? EMB_BATCH);
+  const conc = Math.max(1, opts.concurrency ?? EMB_CONCURRENCY);
+
+  const batches = [];
+  for (let i = 0; i < texts.length; i += size) batches.push(i);
+
+  const out = new Array(texts.length);
+  let next = 0;
+  let done = 0;
+  async function worker(){
+    while (next < batches.length) {
+      const start = batches[next++];
+      const group = texts.slice(start, start + size);
+      const vecs = await provider.embedMany(model, group);
+      vecs.forEach((v, j) => { out[start + j] = v; });
+      done += group.length;
+      if (opts.onProgress) opts.onProgress(done, texts.length);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(conc, batches.length) }, worker));
   return out;
 }
 
 async function generateShort(model, prompt, opts = {}){
-  const ollama = client();
-  const { response } = await ollama.generate({
+  const response = await getProvider().generate({
     model,
     prompt,
     options: {
@@ -33,4 +53,4 @@ async function generateShort(model, prompt, opts = {}){
   return response.trim();
 }
 
-module.exports = { embedText, embedBatch, generateShort };
+module.exports = { embedText, embedBatch, generateShort, EMB_BATCH, EMB_CONCURRENCY };
@@ -6,15 +6,18 @@
 //
 // Exports:
 //   - init(): Promise<Map<kbName, { model, examples[], embs[] }>>  // builds/loads indices
-//   - answerOnceLLM(q, store): Promise<{ text, hits:[], confidence, mode:'llm' }>
+//   - answerOnceLLM(q, store, opts?): Promise<{ text, hits:[], confidence, mode:'llm' }>
+//   - generate(prompt, opts?): Promise<string>  // plain generation (conversation fallback)
 //   - discoverKbNamesLLM(): string[]
 //   - CONF_THRESH: number  // env LLM_CONF_THRESH || 0.35
 
 const fs = require("fs");
 const path = require("path");
 const glob = require("glob");
-const { Ollama } = require("ollama");
-const { OLLAMA_HOST, GEN_MODEL_LLM, EMB_MODEL } = require("./models");
+const { GEN_MODEL_LLM, EMB_MODEL } = require("./models");
+const { getProvider } = require("./provider");
+const { embedBatch } = require("./llm");
+const { createProgress } = require("./progress");
 
 // confidence threshold for hybrid fallback (0..1)
 const CONF_THRESH = Number(process.env.LLM_CONF_THRESH || 0.35);
@@ -44,6 +47,44 @@ function toF32(arr) { return Float32Array.from(arr); }
 function exText(ex) {
   return String(ex.input || ex.instruction || ex.prompt || "").trim();
 }
+function exOutput(ex) {
+  return String(ex.output || ex.response || ex.completion || "").trim();
+}
+
+// How many preceding turns a conversation example carries as context
+const CONTEXT_TURNS = Number(process.env.LLM_CONTEXT_TURNS || 4);
+
+// Index text: the user turn, prefixed by the previous user turn for follow-ups
+// ("Where is it headquartered?" alone says nothing about Acme)
+function exIndexText(ex) {
+  const prevUser = [...(ex.context || [])].reverse().find(m => m.role === "user");
+  return [prevUser?.content, exText(ex)].filter(Boolean).join("\n").trim();
+}
+
+/**
+ * expandRow(row)
+ * - { input/instruction/prompt, output } rows pass through unchanged
+ * - { messages:[{role,content},...] } rows become one example per assistant reply:
+ *     { context:[...preceding turns], input:<user turn>, output:<assistant reply> }
+ */
+function expandRow(row) {
+  if (!row || typeof row !== "object") return [];
+  if (!Array.isArray(row.messages)) return [row];
+
+  const msgs = row.messages
+    .filter(m => m && typeof m.content === "string" && m.content.trim())
+    .map(m => ({ role: String(m.role || "user").toLowerCase(), content: m.content.trim() }));
+  const out = [];
+  for (let i = 1; i < msgs.length; i++) {
+    if (msgs[i].role !== "assistant" || msgs[i-1].role !== "user") continue;
+    out.push({
+      context: msgs.slice(Math.max(0, i - 1 - CONTEXT_TURNS), i - 1),
+      input: msgs[i-1].content,
+      output: msgs[i].content
+    });
+  }
+  return out;
+}
 
 // lexical overlap to estimate confidence (0..1)
 function overlapScore(q, ex) {
@@ -66,14 +107,23 @@ function loadJsonlFiles(dir) {
   for (const f of files) {
     const lines = fs.readFileSync(f, "utf8").split(/\r?\n/).filter(Boolean);
     for (const ln of lines) {
+      let obj;
       try {
-        rows.push(JSON.parse(ln));
+        obj = JSON.parse(ln);
       } catch {
-        // skip bad JSON lines safely
+        continue; // skip bad JSON lines safely
       }
+      rows.push(...expandRow(obj));
     }
   }
-  return rows;
+  // merged.jsonl repeats the source files → drop duplicate examples
+  const seen = new Set();
+  return rows.filter(r => {
+    const key = JSON.stringify([r.context || [], exText(r), exOutput(r)]);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 }
 
 // ---------- KB discovery ----------
@@ -90,22 +140,30 @@ function discoverKbNamesLLM() {
 }
 
 // ---------- Embedding helpers ----------
-async function embed(client, text) {
-  const { embedding } = await client.embeddings({ model: EMB_MODEL, prompt: text });
-  return Float32Array.from(embedding);
+async function embed(provider, text) {
+  return provider.embed(EMB_MODEL, text);
 }
 
-async function embedBatch(client, texts) {
-  const out = [];
-  for (const t of texts) {
-    const { embedding } = await client.embeddings({ model: EMB_MODEL, prompt: t });
-    out.push(Float32Array.from(embedding));
-  }
-  return out;
+// ---------- Generation ----------
+/**
+ * generate(prompt, { onToken?, signal? })
+ * Free-form generation with GEN_MODEL_LLM (used by conversation.js as its fallback).
+ */
+async function generate(prompt, opts = {}) {
+  const text = await getProvider().generate({
+    model: GEN_MODEL_LLM,
+    prompt,
+    options: { temperature: 0.1, num_predict: 128, keep_alive: "5m" },
+    onToken: opts.onToken,
+    signal: opts.signal
+  });
+  return text.trim();
 }
 
 // ---------- Build / load per-KB semantic index ----------
 const CACHE_ROOT = path.join(".cache", "llm_index");
+// bump when the index layout/example expansion changes so stale caches rebuild
+const INDEX_VERSION = 2;
 
 function cachePathFor(kb) {
   return path.join(CACHE_ROOT, `${kb}.json`);
@@ -114,20 +172,24 @@ function cachePathFor(kb) {
 /**
  * Build an index:
  * {
+ *   version: INDEX_VERSION,
  *   model: "<embed-model>",
- *   examples: [{ obj }, { obj }, ...],   // original JSONL rows
+ *   examples: [{ obj }, { obj }, ...],   // JSONL rows (conversations expanded per turn)
  *   embs: [ [..], [..], ... ]            // float arrays stored as plain JS arrays
  * }
  */
-async function buildIndexForKb(client, kbName) {
+async function buildIndexForKb(provider, kbName) {
   const dir = path.join("llm", kbName);
   const rows = loadJsonlFiles(dir).filter(r => exText(r));
   if (!rows.length) return null;
 
-  const texts = rows.map(exText);
-  const embs = await embedBatch(client, texts);
+  const texts = rows.map(exIndexText);
+  const bar = createProgress(texts.length, `Indexing llm/${kbName}`);
+  const embs = await embedBatch(EMB_MODEL, texts, { onProgress: (done) => bar.update(done) });
+  bar.done();
 
   const index = {
+    version: INDEX_VERSION,
     model: EMB_MODEL,
     examples: rows,
     embs: embs.map(v => Array.from(v)) // store as arrays in JSON
@@ -143,13 +205,13 @@ function loadIndexForKb(kbName) {
   return obj;
 }
 
-async function ensureIndexForKb(client, kbName) {
+async function ensureIndexForKb(provider, kbName) {
   const cached = loadIndexForKb(kbName);
-  if (cached && cached.model === EMB_MODEL) {
+  if (cached && cached.model === EMB_MODEL && cached.version === INDEX_VERSION) {
     return cached;
   }
-  // no cache or model changed → rebuild
-  return await buildIndexForKb(client, kbName);
+  // no cache, model or layout changed → rebuild
+  return await buildIndexForKb(provider, kbName);
 }
 
 // ---------- Public init ----------
@@ -159,11 +221,11 @@ async function ensureIndexForKb(client, kbName) {
  * Returns a Map<kbName, { model, examples[], embs[] }>
  */
 async function init() {
-  const client = new Ollama({ host: OLLAMA_HOST });
+  const provider = getProvider();
   const names = discoverKbNamesLLM();
   const store = new Map();
   for (const n of names) {
-    const idx = await ensureIndexForKb(client, n);
+    const idx = await ensureIndexForKb(provider, n);
     if (idx) store.set(n, idx);
   }
   return store;
@@ -180,43 +242,54 @@ function pickTopKExamplesForIndex(qEmb, index, k) {
   return scores.slice(0, k).map(s => index.examples[s.i]);
 }
 
+function formatTurn(m) {
+  const who = m.role === "assistant" ? "Assistant" : m.role === "system" ? "System" : "User";
+  return `${who}: ${m.content}`;
+}
+
 function buildFewShotPrompt(q, examples) {
   const shots = examples.map((ex, i) => {
+    // keep the preceding turns so follow-ups stay grounded
+    const ctx = (ex.context || []).map(formatTurn).join("\n");
     const inp = exText(ex);
-    const out = String(ex.output || ex.response || ex.completion || "").trim();
-    return `### Example ${i+1}\nUser: ${inp}\nAssistant: ${out}`;
+    const out = exOutput(ex);
+    return `### Example ${i+1}\n${ctx ? ctx + "\n" : ""}User: ${inp}\nAssistant: ${out}`;
   }).join("\n\n");
 
   return `${shots}\n\n### Task\nUser: ${q}\nAssistant:`;
 }
 
 /**
- * answerOnceLLM(q, store)
+ * answerOnceLLM(q, store, opts?)
  * - store: Map<kbName, { model, examples[], embs[] }>
+ * - opts.onToken(token): stream the generation as it arrives
+ * - opts.signal (AbortSignal): stop the generation (it then rejects with an AbortError)
  * Returns:
  *   { text, hits:[], confidence, mode:'llm' }
  * Where low confidence or empty text is a signal for hybrid fallback.
  */
-async function answerOnceLLM(q, store) {
-  const client = new Ollama({ host: OLLAMA_HOST });
+async function answerOnceLLM(q, store, opts = {}) {
+  const provider = getProvider();
 
   // If no KB indices yet, ask model with strict guard.
   if (!store || store.size === 0) {
-    const { response } = await client.generate({
+    const response = await provider.generate({
       model: GEN_MODEL_LLM,
       prompt: `You are a careful assistant.
 If the answer is not clearly implied by your prior knowledge, reply exactly: "I don't know".
 User: ${q}
 Assistant:`,
-      options: { temperature: 0.1, num_predict: 128, keep_alive: "5m" }
+      options: { temperature: 0.1, num_predict: 128, keep_alive: "5m" },
+      onToken: opts.onToken,
+      signal: opts.signal
     });
-    const text = String(response || "").trim();
+    const text = response.trim();
     const conf = /i don't know/i.test(text) ? 0 : 0.25;
     return { text, hits: [], confidence: conf, mode: "llm" };
   }
 
   // 1) Embed query
-  const qEmb = await embed(client, q);
+  const qEmb = await embed(provider, q);
 
   // 2) Pick top-K from EACH KB
   const K_PER_KB = Number(process.env.LLM_K || 6);
@@ -243,13 +316,15 @@ Assistant:`,
   const prompt = buildFewShotPrompt(q, picked);
 
   // 5) Generate
-  const { response } = await client.generate({
+  const response = await provider.generate({
     model: GEN_MODEL_LLM,
     prompt,
-    options: { temperature: 0.1, num_predict: 128, keep_alive: "5m" }
+    options: { temperature: 0.1, num_predict: 128, keep_alive: "5m" },
+    onToken: opts.onToken,
+    signal: opts.signal
   });
 
-  const text = String(response || "").trim();
+  const text = response.trim();
 
   // Heuristic: “hedgy” answers → treat as low confidence so RAG can take over
   const hedgy = /(not.*public(ly)? (disclosed|available)|check (their|the) official website|contact (them|support)|cannot (determine|confirm))/i;
@@ -260,4 +335,4 @@ Assistant:`,
   return { text, hits: [], confidence: maxOverlap || 0, mode: "llm" };
 }
 
-module.exports = { init, answerOnceLLM, discoverKbNamesLLM, CONF_THRESH };
\ No newline at end of file
+module.exports = { init, answerOnceLLM, generate, discoverKbNamesLLM, CONF_THRESH };
\ No newline at end of file
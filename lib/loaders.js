@@ -0,0 +1,114 @@
+// lib/loaders.js
+// File-type loader registry: extension → loader(file) → { text, meta, pages? }.
+// build.js / update.js index every file whose extension has a loader, so a new format
+// only needs a registerLoader() call here, or in a module listed in LOADERS.
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { htmlToText, docxToText, parseFrontMatter, cleanPdfPages, csvToText, jsonToText } = require('./formats');
+
+// LOADERS: comma-separated modules (paths relative to the working directory) that call
+// registerLoader(); required once the built-ins are in, so they can also replace one
+const LOADERS = (process.env.LOADERS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+const loaders = new Map(); // ".ext" → { type, chunker, load }
+
+/**
+ * registerLoader(exts, load, { type?, chunker? })
+ *   exts: ".html" | ["html", ".htm"]      (case-insensitive, leading dot optional)
+ *   load(file): Promise<{ text: string, meta?: object, pages?: string[] }>
+ *         meta: doc-level fields (title, frontMatter: {…}, anything else is kept as a filterable field)
+ *         pages: per-page text for paged formats; chunks then record the pages they came from
+ *   type: short doc type recorded with the text (defaults to the first extension)
+ *   chunker: "blocks" (default; Q/A + paragraphs) or "markdown" (headings, lists, tables, code
+ *            fences; chunks carry their heading path) — see lib/chunking.js
+ * A later registration for the same extension replaces the earlier one.
+ */
+function registerLoader(exts, load, opts = {}){
+  const list = (Array.isArray(exts) ? exts : [exts]).map(e => '.' + String(e).toLowerCase().replace(/^\./, ''));
+  const type = opts.type || list[0].slice(1);
+  const chunker = opts.chunker || 'blocks';
+  for (const ext of list) loaders.set(ext, { type, chunker, load });
+}
+
+/** getLoader(file): the loader for its extension, or null */
+function getLoader(file){
+  return loaders.get(path.extname(file).toLowerCase()) || null;
+}
+
+/** supportedExtensions(): [".md", ".pdf", ".txt", …] */
+function supportedExtensions(){
+  return [...loaders.keys()].sort();
+}
+
+/**
+ * loadDoc(file): { text, meta, chunker, pages? } with meta.type set, or null for unsupported files.
+ * An empty/whitespace-only text means "nothing to index".
+ */
+async function loadDoc(file){
+  const loader = getLoader(file);
+  if (!loader) return null;
+  const { text = '', meta = {}, pages } = (await loader.load(file)) || {};
+  const doc = { text: String(text || ''), meta: { type: loader.type, ...meta }, chunker: loader.chunker };
+  if (Array.isArray(pages)) doc.pages = pages.map(p => String(p || ''));
+  return doc;
+}
+
+// ---------- built-in loaders ----------
+const readUtf8 = (file) => fs.readFileSync(file, 'utf8');
+
+registerLoader('.txt', async (file) => ({ text: readUtf8(file) }));
+registerLoader('.md', async (file) => {
+  const text = readUtf8(file); // the Markdown chunker skips the front matter itself
+  const { data } = parseFrontMatter(text);
+  return { text, meta: Object.keys(data).length ? { frontMatter: data } : {} };
+}, { chunker: 'markdown' });
+
+// pdf-parse's default page renderer, but collecting each page separately (by index, so a page
+// that fails to render leaves a gap instead of shifting the rest)
+function pdfPageCollector(pages){
+  return (pageData) => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((content) => {
+      let lastY, text = '';
+      for (const item of content.items) {
+        text += (lastY === undefined || lastY === item.transform[5]) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    });
+}
+
+registerLoader('.pdf', async (file) => {
+  const raw = [];
+  const pdf = await pdfParse(fs.readFileSync(file), { pagerender: pdfPageCollector(raw) });
+  const pages = cleanPdfPages(Array.from({ length: pdf.numpages }, (_, i) => raw[i] || ''));
+  return { text: pages.join('\n\n'), pages, meta: { pages: pdf.numpages } };
+});
+
+// structured formats, parsed in pure JS (lib/formats.js); HTML/DOCX come out as Markdown-style text
+registerLoader(['.html', '.htm'], async (file) => {
+  const { text, title } = htmlToText(readUtf8(file));
+  return { text, meta: title ? { title } : {} };
+}, { type: 'html', chunker: 'markdown' });
+registerLoader('.docx', async (file) => {
+  const { text, title } = docxToText(fs.readFileSync(file));
+  return { text, meta: title ? { title } : {} };
+}, { chunker: 'markdown' });
+registerLoader('.csv', async (file) => {
+  const { text, rows, columns } = csvToText(readUtf8(file));
+  return { text, meta: { rows, columns } };
+});
+registerLoader('.tsv', async (file) => {
+  const { text, rows, columns } = csvToText(readUtf8(file), '\t');
+  return { text, meta: { rows, columns } };
+}, { type: 'csv' });
+registerLoader('.json', async (file) => {
+  const { text, records } = jsonToText(readUtf8(file));
+  return { text, meta: { records } };
+});
+
+module.exports = { registerLoader, getLoader, supportedExtensions, loadDoc };
+
+// ---------- LOADERS plugins (after the exports: they require this module back) ----------
+for (const mod of LOADERS) require(path.resolve(mod));
@@ -1,7 +1,7 @@
 // lib/models.js — start ollama serve, ensure/pull models with fallbacks
 const { spawn } = require("node:child_process");
 const http = require("node:http");
-const { Ollama } = require("ollama");
+const { getProvider } = require("./provider");
 
 const OLLAMA_HOST   = process.env.OLLAMA_HOST   || "http://127.0.0.1:11434";
 const GEN_MODEL_RAG = process.env.GEN_MODEL     || "qwen2.5:1.5b";
@@ -33,6 +33,7 @@ function pingOllama() {
 }
 
 async function ensureServe() {
+  if (getProvider().name !== "ollama") return; // only Ollama is started on demand
   if (await pingOllama()) return;
   const proc = spawn("ollama", ["serve"], { stdio: "ignore", detached: true });
   proc.unref();
@@ -44,23 +45,22 @@ async function ensureServe() {
   throw new Error("ollama serve did not start within 15s");
 }
 
-async function hasModel(client, name) {
+async function hasModel(provider, name) {
   try {
-    const tags = await client.list();
-    return (tags?.models || []).some(m => m.name === name);
+    return (await provider.listModels()).includes(name);
   } catch {
     return false;
   }
 }
 
-async function pullOne(client, tag) {
+async function pullOne(provider, tag) {
   process.stdout.write(`Pulling Ollama model: ${tag} …\n`);
-  await client.pull({ model: tag, stream: false });
+  await provider.pull(tag);
   return true;
 }
 
 async function pullWithFallbacks(key) {
-  const client = new Ollama({ host: OLLAMA_HOST });
+  const client = getProvider();
   const candidates = (FALLBACKS[key] || []).filter(Boolean);
 
   for (const tag of candidates) {
@@ -78,6 +78,13 @@ async function pullWithFallbacks(key) {
 }
 
 async function ensureModels(mode = "hybrid") {
+  // servers like llama.cpp/vLLM serve fixed models: nothing to start or pull
+  const provider = getProvider();
+  if (!provider.canPull) {
+    console.log(`Models ready (provider=${provider.name}, pull skipped).`);
+    return {};
+  }
+
   await ensureServe();
   const needKeys = NEEDS_BY_MODE[mode] || NEEDS_BY_MODE.hybrid;
 
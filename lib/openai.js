@@ -0,0 +1,95 @@
+// lib/openai.js
+// OpenAI chat API shapes for server.js (/v1/models, /v1/chat/completions), so chat frontends and
+// SDKs that speak that API can use LocalKB as-is. Each KB/mode combination is a "model":
+//   localkb                all KBs, document answers with LLM fallback (like POST /query)
+//   localkb/<kb>           only that KB
+//   localkb:rag, localkb/<kb>:rag   documents only — no LLM fallback when nothing relevant is found
+// The API is stateless: the client resends the conversation, which is replayed into a fresh
+// conversation state (lib/conversation.js) before the last user message is answered.
+const crypto = require("crypto");
+const convo = require("./conversation");
+const { countTokens } = require("./tokens");
+
+const MODEL_PREFIX = "localkb";
+
+/** modelIds(kbNames): every model id served for these KBs */
+function modelIds(kbNames) {
+  const bases = [MODEL_PREFIX, ...kbNames.map(kb => `${MODEL_PREFIX}/${kb}`)];
+  return bases.flatMap(b => [b, `${b}:rag`]);
+}
+
+/** parseModel(id, kbNames): { kbs, fallback } or null for an unknown model */
+function parseModel(id, kbNames) {
+  const m = String(id ?? MODEL_PREFIX).match(/^localkb(?:\/([^:]+))?(?::(rag))?$/);
+  if (!m || (m[1] && !kbNames.includes(m[1]))) return null;
+  return { kbs: m[1] ? [m[1]] : undefined, fallback: !m[2] };
+}
+
+// message content is a string or (vision-style) an array of parts; only text parts are used
+function textOf(content) {
+  if (Array.isArray(content)) return content.filter(p => p && p.type === "text").map(p => p.text).join("\n");
+  return content == null ? "" : String(content);
+}
+
+/**
+ * replayMessages(messages): { state, question } or { error }.
+ * Earlier user/assistant turns go into the state (context terms, history for the prompt);
+ * system messages are ignored — the grounded prompt is LocalKB's own. The last message must be the user's.
+ */
+function replayMessages(messages) {
+  if (!Array.isArray(messages) || !messages.length) return { error: "'messages' must be a non-empty array." };
+  const last = messages[messages.length - 1];
+  const question = textOf(last?.content).trim();
+  if (last?.role !== "user" || !question) return { error: "The last message must be a non-empty user message." };
+
+  const state = convo.initState();
+  for (const m of messages.slice(0, -1)) {
+    const text = textOf(m?.content).trim();
+    if (!text) continue;
+    if (m.role === "user") convo.updateState(state, text);
+    else if (m.role === "assistant") state.messages.push({ role: "assistant", content: text });
+  }
+  return { state, question };
+}
+
+const completionId = () => `chatcmpl-${crypto.randomUUID().replace(/-/g, "")}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+/** completion({ model, messages, answer, mode, sources }): a chat.completion object (+ sources, localkb_mode) */
+function completion({ model, messages, answer, mode, sources }) {
+  const prompt_tokens = messages.reduce((n, m) => n + countTokens(textOf(m?.content)), 0);
+  const completion_tokens = countTokens(answer);
+  return {
+    id: completionId(),
+    object: "chat.completion",
+    created: now(),
+    model,
+    choices: [{ index: 0, message: { role: "assistant", content: answer }, finish_reason: "stop" }],
+    usage: { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens }, // approximate
+    sources,
+    localkb_mode: mode
+  };
+}
+
+/**
+ * chunkStream(model, write): chat.completion.chunk writers sharing one id —
+ *   role() first, token(text) per streamed token, done({ mode, sources }) last (then "[DONE]").
+ * write(payload) sends one SSE "data:" line.
+ */
+function chunkStream(model, write) {
+  const base = { id: completionId(), object: "chat.completion.chunk", created: now(), model };
+  const chunk = (delta, finish_reason = null, extra = {}) =>
+    write({ ...base, choices: [{ index: 0, delta, finish_reason }], ...extra });
+  return {
+    role: () => chunk({ role: "assistant", content: "" }),
+    token: (content) => chunk({ content }),
+    done: ({ mode, sources }) => chunk({}, "stop", { sources, localkb_mode: mode })
+  };
+}
+
+/** apiError(message, type?, code?): the OpenAI error body { error: { message, type, param, code } } */
+function apiError(message, type = "invalid_request_error", code = null) {
+  return { error: { message, type, param: null, code } };
+}
+
+module.exports = { MODEL_PREFIX, modelIds, parseModel, replayMessages, completion, chunkStream, apiError };
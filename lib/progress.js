@@ -0,0 +1,44 @@
+// lib/progress.js — tiny progress bar with ETA for long embedding runs
+// On a TTY the bar redraws in place; otherwise a line is printed every ~10%.
+
+function fmtDuration(ms) {
+  if (!isFinite(ms) || ms < 0) return "?";
+  const s = Math.round(ms / 1000);
+  const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60), sec = s % 60;
+  if (h) return `${h}h${String(m).padStart(2, "0")}m`;
+  if (m) return `${m}m${String(sec).padStart(2, "0")}s`;
+  return `${sec}s`;
+}
+
+/**
+ * createProgress(total, label?)
+ * Returns { update(done), done() }. `done` counts completed items (e.g. chunks embedded).
+ */
+function createProgress(total, label = "Embedding") {
+  const stream = process.stderr;
+  const tty = !!stream.isTTY;
+  const start = Date.now();
+  let lastPct = -1;
+
+  function render(done) {
+    const pct = total ? Math.min(1, done / total) : 1;
+    const elapsed = Date.now() - start;
+    const eta = done ? (elapsed / done) * (total - done) : NaN;
+    const width = 24;
+    const bar = "#".repeat(Math.round(pct * width)).padEnd(width, "-");
+    return `${label} [${bar}] ${done}/${total} ${Math.floor(pct * 100)}% ETA ${fmtDuration(eta)}`;
+  }
+
+  return {
+    update(done) {
+      if (tty) { stream.write(`\r${render(done)}`); return; }
+      const pct = Math.floor((total ? done / total : 1) * 10);
+      if (pct !== lastPct) { lastPct = pct; stream.write(`${render(done)}\n`); }
+    },
+    done() {
+      if (tty) stream.write(`\r${render(total)} (${fmtDuration(Date.now() - start)})\n`);
+    }
+  };
+}
+
+module.exports = { createProgress };
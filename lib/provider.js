@@ -0,0 +1,279 @@
+// lib/provider.js — generation/embedding backends, selected by PROVIDER
+//   ollama (default)     — OLLAMA_HOST; embedding models run with EMB_NUM_CTX as num_ctx when set
+//   openai-compatible    — OPENAI_BASE_URL (…/v1) + optional OPENAI_API_KEY
+//                          (llama.cpp server, vLLM, LM Studio, …)
+//   mock                 — offline & deterministic, for tests: hash-based embeddings,
+//                          templated (or MOCK_RESPONSE canned) generations, streamed with
+//                          MOCK_TOKEN_DELAY_MS between tokens (default 0)
+//
+// Every provider exposes:
+//   name, canPull                       // canPull=false → ensureModels skips serve/pull
+//   embed(model, text): Promise<Float32Array>
+//   embedMany(model, texts): Promise<Float32Array[]>   // one request per batch
+//   generate({ model, prompt, options, onToken?, signal? }): Promise<string>
+//     options: { temperature, num_predict, keep_alive } (Ollama names; mapped per backend)
+//     onToken(token): stream tokens as they arrive
+//     signal: AbortSignal — stops a streamed generation (the backend request is cancelled);
+//             generate() then rejects with an AbortError
+//   listModels(): Promise<string[]>
+//   pull(model): Promise<void>          // only when canPull
+
+const crypto = require("crypto");
+const { Ollama } = require("ollama");
+
+const PROVIDER = (process.env.PROVIDER || "ollama").toLowerCase();
+
+// what generate() rejects with once its signal aborts, whatever the backend threw
+function abortError() {
+  const err = new Error("Generation aborted");
+  err.name = "AbortError";
+  return err;
+}
+
+// ---------- Ollama ----------
+function ollamaProvider() {
+  const host = process.env.OLLAMA_HOST || "http://127.0.0.1:11434";
+  const client = new Ollama({ host });
+  // unset: Ollama's own default context (2048), which lib/tokens.js assumes too
+  const embOptions = process.env.EMB_NUM_CTX ? { num_ctx: Number(process.env.EMB_NUM_CTX) } : undefined;
+
+  return {
+    name: "ollama",
+    canPull: true,
+
+    // the same endpoint (/api/embed) as batches, so queries and chunks get comparable vectors
+    async embed(model, text) {
+      const [v] = await this.embedMany(model, [text]);
+      return v;
+    },
+
+    // /api/embed takes an array of inputs
+    async embedMany(model, texts) {
+      const { embeddings } = await client.embed({ model, input: texts, options: embOptions });
+      return embeddings.map(e => Float32Array.from(e));
+    },
+
+    async generate({ model, prompt, options = {}, onToken, signal }) {
+      if (signal?.aborted) throw abortError();
+      if (typeof onToken !== "function") {
+        const { response } = await client.generate({ model, prompt, options, stream: false });
+        return String(response || "");
+      }
+      let out = "";
+      const stream = await client.generate({ model, prompt, options, stream: true });
+      const stop = () => stream.abort();
+      signal?.addEventListener("abort", stop, { once: true });
+      try {
+        for await (const part of stream) {
+          if (signal?.aborted) break;
+          if (!part.response) continue;
+          out += part.response;
+          onToken(part.response);
+        }
+      } catch (e) {
+        if (signal?.aborted) throw abortError();
+        throw e;
+      } finally {
+        signal?.removeEventListener("abort", stop);
+      }
+      if (signal?.aborted) throw abortError();
+      return out;
+    },
+
+    async listModels() {
+      const tags = await client.list();
+      return (tags?.models || []).map(m => m.name);
+    },
+
+    async pull(model) {
+      await client.pull({ model, stream: false });
+    }
+  };
+}
+
+// ---------- OpenAI-compatible (/v1/chat/completions, /v1/embeddings) ----------
+function openAiProvider() {
+  const base = (process.env.OPENAI_BASE_URL || "http://127.0.0.1:8080/v1").replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+  async function post(route, body, signal) {
+    const res = await fetch(`${base}${route}`, { method: "POST", headers, body: JSON.stringify(body), signal });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      throw new Error(`${route} failed: HTTP ${res.status} ${detail}`.trim());
+    }
+    return res;
+  }
+
+  // one chat completion, streamed through onToken when given
+  async function complete({ model, prompt, options, onToken, signal }) {
+    const body = {
+      model,
+      messages: [{ role: "user", content: prompt }],
+      temperature: options.temperature ?? 0,
+      max_tokens: options.num_predict ?? 128
+    };
+    if (typeof onToken !== "function") {
+      const res = await post("/chat/completions", { ...body, stream: false }, signal);
+      const json = await res.json();
+      return String(json.choices?.[0]?.message?.content || "");
+    }
+
+    // Server-Sent Events: "data: {json}\n\n" … "data: [DONE]"
+    const res = await post("/chat/completions", { ...body, stream: true }, signal);
+    const decoder = new TextDecoder();
+    let buf = "";
+    let out = "";
+    for await (const bytes of res.body) {
+      buf += decoder.decode(bytes, { stream: true });
+      let nl;
+      while ((nl = buf.indexOf("\n")) >= 0) {
+        const line = buf.slice(0, nl).trim();
+        buf = buf.slice(nl + 1);
+        if (!line.startsWith("data:")) continue;
+        const data = line.slice(5).trim();
+        if (data === "[DONE]") return out;
+        let token = "";
+        try { token = JSON.parse(data).choices?.[0]?.delta?.content || ""; } catch { /* partial/keep-alive */ }
+        if (!token) continue;
+        out += token;
+        onToken(token);
+      }
+    }
+    return out;
+  }
+
+  return {
+    name: "openai-compatible",
+    canPull: false,
+
+    async embed(model, text) {
+      const [v] = await this.embedMany(model, [text]);
+      return v;
+    },
+
+    async embedMany(model, texts) {
+      const res = await post("/embeddings", { model, input: texts });
+      const { data } = await res.json();
+      // servers may reorder; `index` maps back to the input position
+      return data
+        .slice()
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map(d => Float32Array.from(d.embedding));
+    },
+
+    async generate({ model, prompt, options = {}, onToken, signal }) {
+      try {
+        return await complete({ model, prompt, options, onToken, signal });
+      } catch (e) {
+        if (signal?.aborted) throw abortError();
+        throw e;
+      }
+    },
+
+    async listModels() {
+      const res = await fetch(`${base}/models`, { headers });
+      if (!res.ok) throw new Error(`/models failed: HTTP ${res.status}`);
+      const { data } = await res.json();
+      return (data || []).map(m => m.id);
+    },
+
+    async pull() {
+      throw new Error("openai-compatible provider cannot pull models");
+    }
+  };
+}
+
+// ---------- Mock (offline, deterministic) ----------
+const MOCK_STOPWORDS = new Set([
+  "a","an","the","and","or","of","in","on","for","to","from","with","is","are","was","were",
+  "be","it","its","that","this","what","when","where","who","how","does","do","did"
+]);
+
+function mockProvider() {
+  const dim = Number(process.env.MOCK_EMB_DIM || 256);
+  const tokenDelay = Number(process.env.MOCK_TOKEN_DELAY_MS || 0);
+
+  // feature hashing: each content word → one signed bucket, log-scaled counts, L2-normalized
+  function embedSync(text) {
+    const counts = new Map();
+    for (const w of String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      if (!MOCK_STOPWORDS.has(w)) counts.set(w, (counts.get(w) || 0) + 1);
+    }
+    const v = new Float32Array(dim);
+    for (const [w, n] of counts) {
+      const h = crypto.createHash("sha1").update(w).digest();
+      v[h.readUInt32LE(0) % dim] += (h[4] & 1 ? 1 : -1) * (1 + Math.log(n));
+    }
+    let norm = 0;
+    for (const x of v) norm += x * x;
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < dim; i++) v[i] /= norm;
+    return v;
+  }
+
+  // canned (MOCK_RESPONSE), else the first line of the first source/context with a [1] citation,
+  // else an echo of the last user line
+  function respond(prompt) {
+    if (process.env.MOCK_RESPONSE) return process.env.MOCK_RESPONSE;
+    const src = String(prompt).match(/(?:^\[1\] \([^)\n]*\)|^\[Context 1\])\n(.+)$/m);
+    if (src) return `${src[1].trim().slice(0, 200)} [1]`;
+    const users = String(prompt).match(/^User: .*$/gm) || [];
+    return `Mock answer: ${(users[users.length - 1] || "").replace(/^User: /, "")}`;
+  }
+
+  return {
+    name: "mock",
+    canPull: false,
+
+    async embed(_model, text) {
+      return embedSync(text);
+    },
+
+    async embedMany(_model, texts) {
+      return texts.map(embedSync);
+    },
+
+    async generate({ prompt, onToken, signal }) {
+      const text = respond(prompt);
+      if (typeof onToken === "function") {
+        for (const tok of text.match(/\S+\s*/g) || []) {
+          if (tokenDelay) await new Promise(r => setTimeout(r, tokenDelay));
+          if (signal?.aborted) break;
+          onToken(tok);
+        }
+      }
+      if (signal?.aborted) throw abortError();
+      return text;
+    },
+
+    async listModels() {
+      return [];
+    },
+
+    async pull() {
+      throw new Error("mock provider cannot pull models");
+    }
+  };
+}
+
+const FACTORIES = {
+  "ollama": ollamaProvider,
+  "openai-compatible": openAiProvider,
+  "openai": openAiProvider,
+  "mock": mockProvider
+};
+
+let instance = null;
+
+/** getProvider(): the configured provider (one shared instance per process) */
+function getProvider() {
+  if (instance) return instance;
+  const make = FACTORIES[PROVIDER];
+  if (!make) throw new Error(`Unknown PROVIDER "${PROVIDER}" (expected: ${Object.keys(FACTORIES).join(", ")})`);
+  instance = make();
+  return instance;
+}
+
+module.exports = { getProvider, PROVIDER };
@@ -2,8 +2,10 @@
 const fs = require("fs");
 const path = require("path");
 const Database = require("better-sqlite3");
-const { Ollama } = require("ollama");
-const { EMB_MODEL, OLLAMA_HOST } = require("./models");
+const { EMB_MODEL } = require("./models");
+const { getProvider } = require("./provider");
+const { readKbMeta, kbMetaMismatch, hasColumn } = require("./db");
+const { compileFilter } = require("./filter");
 
 // Config
 const DATA_ROOT = "data";
@@ -11,6 +13,11 @@ const DB_DIR = "db";
 const TOP_K = Number(process.env.TOP_K || 6);
 const FTS_CAND = Number(process.env.FTS_CAND || 40);
 const MIN_SIM = Number(process.env.MIN_SIM || 0.35);
+const MMR_LAMBDA = Number(process.env.MMR_LAMBDA || 0.7); // 1 = pure relevance, 0 = pure diversity
+// Lexical (BM25) + semantic (cosine) fusion: "rrf" (reciprocal rank fusion) or "weighted"
+const FUSION = (process.env.FUSION || "rrf").toLowerCase();
+const RRF_K = Number(process.env.RRF_K || 60);
+const VEC_WEIGHT = Number(process.env.VEC_WEIGHT || 0.5); // weighted fusion: share of the cosine score
 const FAST = process.env.FAST === "1";
 
 // cosine similarity between two Float32 arrays
@@ -35,34 +42,225 @@ function discoverDbNames() {
   return subs.filter(name => fs.existsSync(path.join(DB_DIR, `${name}.db`)));
 }
 
-function openDbs(names) {
-  return names.map(n => ({
-    name: n,
-    db: new Database(path.join(DB_DIR, `${n}.db`), {})
-  }));
+// Accepts an array, a comma-separated string, or a single name
+function toNameList(v) {
+  if (!v) return [];
+  const arr = Array.isArray(v) ? v : String(v).split(",");
+  return arr.map(s => String(s).trim()).filter(Boolean);
+}
+
+// Scope the available DBs to `kbs` (all when empty), minus `exclude`; `allow` (an array, e.g. an
+// API key's allow-list) is a hard limit — nothing outside it is searched, even when asked for
+function resolveKbNames({ kbs, exclude, allow } = {}) {
+  const available = discoverDbNames().filter(n => !Array.isArray(allow) || allow.includes(n));
+  const wanted = toNameList(kbs);
+  const skip = new Set(toNameList(exclude));
+  const base = wanted.length ? wanted.filter(n => available.includes(n)) : available;
+  return base.filter(n => !skip.has(n));
+}
+
+// ---------- Long-lived per-KB state ----------
+// One read-only connection per KB with its embeddings preloaded into a Float32 matrix.
+// Reloaded when db/<kb>.db is replaced (new inode) or another connection (update.js
+// run by the watcher) commits to it (PRAGMA data_version changes).
+const kbCache = new Map(); // name → { db, ino, version, ids, docs, chunkIds, pos, matrix, norms, dim, getText, getMeta, getDoc, records? }
+
+function loadKb(name) {
+  const p = path.join(DB_DIR, `${name}.db`);
+  const db = new Database(p, { readonly: true, fileMustExist: true });
+  const rows = db.prepare(`SELECT id, doc, chunk_id, emb FROM chunks ORDER BY id`).all();
+  const meta = readKbMeta(db);
+  const dim = rows.length ? rows[0].emb.byteLength / 4 : 0;
+  const mixed = rows.some(r => r.emb.byteLength !== dim * 4);
+  const matrix = new Float32Array(rows.length * dim);
+  const norms = new Float32Array(rows.length);
+  const pos = new Map();
+  rows.forEach((r, i) => {
+    const v = bufToF32(r.emb);
+    matrix.set(v, i * dim);
+    let n = 0;
+    for (let j = 0; j < dim; j++) n += v[j] * v[j];
+    norms[i] = Math.sqrt(n);
+    pos.set(r.id, i);
+  });
+  return {
+    name,
+    db,
+    ino: fs.statSync(p).ino,
+    version: db.pragma("data_version", { simple: true }),
+    ids: rows.map(r => r.id),
+    docs: rows.map(r => r.doc),
+    chunkIds: rows.map(r => r.chunk_id),
+    pos, matrix, norms, dim, meta, mixed,
+    getText: db.prepare(`SELECT text FROM chunks WHERE id=?`),
+    // per-chunk JSON metadata (e.g. Markdown section path) and the docs table; absent in older DBs
+    getMeta: hasColumn(db, "chunks", "meta") ? db.prepare(`SELECT meta FROM chunks WHERE id=?`) : null,
+    getDoc: hasTable(db, "docs") ? db.prepare(`SELECT * FROM docs WHERE doc=?`) : null
+  };
+}
+
+const hasTable = (db, name) => !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name=?`).get(name);
+
+function parseJson(s, fallback = {}) {
+  try { return (s && JSON.parse(s)) || fallback; } catch { return fallback; }
+}
+
+// Filter records (lib/filter.js), one per chunk in matrix order: doc fields (path, title, type,
+// mtime, tags + front matter / sidecar keys, lowercased) overlaid with the chunk's own metadata.
+// Docs indexed before the docs table existed only get path and type (from the extension).
+// Built on the first filtered query and dropped with the cache entry when the DB changes.
+function chunkRecords(kb) {
+  if (kb.records) return kb.records;
+  const docs = new Map();
+  const docRecord = (doc) => {
+    if (docs.has(doc)) return docs.get(doc);
+    const row = kb.getDoc?.get(doc);
+    const fields = Object.fromEntries(Object.entries(parseJson(row?.fields)).map(([k, v]) => [k.toLowerCase(), v]));
+    const rec = {
+      ...fields,
+      path: doc,
+      title: row?.title ?? null,
+      type: row?.type || path.extname(doc).slice(1).toLowerCase(),
+      mtime: row?.mtime ?? null,
+      tags: parseJson(row?.tags, [])
+    };
+    docs.set(doc, rec);
+    return rec;
+  };
+  const chunkMeta = new Map(kb.getMeta
+    ? kb.db.prepare(`SELECT id, meta FROM chunks WHERE meta IS NOT NULL`).all().map(r => [r.id, parseJson(r.meta)])
+    : []);
+  kb.records = kb.ids.map((id, i) => ({ ...docRecord(kb.docs[i]), ...chunkMeta.get(id) }));
+  return kb.records;
 }
 
-function ftsSearch(db, query, limit = FTS_CAND) {
-  // quick FTS prune by bm25; returns candidate rows
+// positions (matrix rows) of the chunks that pass `filter`, or null when there is no filter
+function filterMask(kb, filter) {
+  if (!filter) return null;
+  const records = chunkRecords(kb);
+  const mask = new Uint8Array(records.length);
+  records.forEach((r, i) => { mask[i] = filter(r) ? 1 : 0; });
+  return mask;
+}
+
+function getKb(name) {
+  const p = path.join(DB_DIR, `${name}.db`);
+  const cached = kbCache.get(name);
+  let st = null;
+  try { st = fs.statSync(p); } catch { /* removed */ }
+  if (cached && st && cached.ino === st.ino &&
+      cached.db.pragma("data_version", { simple: true }) === cached.version) return cached;
+
+  if (cached) { cached.db.close(); kbCache.delete(name); }
+  if (!st) return null;
+  const kb = loadKb(name);
+  kbCache.set(name, kb);
+  return kb;
+}
+
+/** Throws (code KB_MISMATCH) when the KB's embeddings can't be compared with qEmb */
+function assertCompatible(kb, qEmb) {
+  // the BLOBs are the ground truth for the dimension (and the only source for legacy DBs)
+  const meta = { ...kb.meta, ...(kb.ids.length ? { emb_dim: kb.dim } : {}) };
+  const reason = kb.mixed ? "mixed embedding dimensions"
+    : kbMetaMismatch(meta, { model: EMB_MODEL, dim: qEmb.length });
+  if (!reason) return;
+  const err = new Error(`KB "${kb.name}": ${reason}. Re-embed it with 'node update.js ${kb.name} --reembed' or rebuild it with 'node build.js ${kb.name}'.`);
+  err.code = "KB_MISMATCH";
+  throw err;
+}
+
+function embAt(kb, i) { return kb.matrix.subarray(i * kb.dim, (i + 1) * kb.dim); }
+
+// Public: open + preload every KB up front (optional; search() loads lazily)
+async function initRetrieval() {
+  for (const n of discoverDbNames()) {
+    const kb = getKb(n);
+    const reason = kb && kbMetaMismatch(kb.meta, { model: EMB_MODEL });
+    if (reason) console.warn(`(warn) KB "${n}": ${reason}; queries against it will be refused.`);
+  }
+}
+
+// Public: close all cached connections
+function close() {
+  for (const kb of kbCache.values()) kb.db.close();
+  kbCache.clear();
+}
+
+// Words that carry no retrieval signal; also covers FTS5 operators (and/or/not/near)
+const FTS_STOPWORDS = new Set([
+  "a","an","the","and","or","not","near","of","in","on","for","to","from","with","about",
+  "is","are","was","were","be","been","it","its","that","this","these","those","at","by",
+  "as","into","what","which","who","whom","when","where","why","how","do","does","did",
+  "can","could","should","would","will","have","has","had","i","you","your","me","my",
+  "we","our","they","their","there","tell","please","context"
+]);
+
+/**
+ * buildFtsQuery(text, { prefix, phrase, maxTerms })
+ * Turns free text into a safe FTS5 MATCH expression: tokenizes, drops stopwords,
+ * quotes every term (so punctuation/operators can't break the syntax) and ORs them.
+ * prefix: also match longer words ("found" → founded); phrase: OR in the whole
+ * term sequence as a phrase so exact matches rank higher. Returns null if no terms.
+ */
+function buildFtsQuery(text, { prefix = true, phrase = true, maxTerms = 16 } = {}) {
+  const toks = (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(t => !FTS_STOPWORDS.has(t) && (t.length > 1 || /\p{N}/u.test(t)));
+  const terms = [...new Set(toks)].slice(0, maxTerms);
+  if (!terms.length) return null;
+
+  const quote = (t) => `"${t.replace(/"/g, '""')}"`;
+  const parts = terms.map(t => (prefix && t.length >= 3 ? `${quote(t)}*` : quote(t)));
+  if (phrase && terms.length > 1) parts.unshift(quote(toks.slice(0, maxTerms).join(" ")));
+  return parts.join(" OR ");
+}
+
+function ftsSearch(db, query, limit = FTS_CAND, onlyIds = null) {
+  // quick FTS prune by bm25; returns candidate rows (only among onlyIds when given)
+  const match = buildFtsQuery(query);
+  if (!match) return [];
   const stmt = db.prepare(`
     SELECT c.id, c.doc, c.chunk_id, c.text, bm25(chunks_fts) AS rank
     FROM chunks_fts
     JOIN chunks c ON c.id = chunks_fts.rowid
-    WHERE chunks_fts MATCH ?
+    WHERE chunks_fts MATCH ?${onlyIds ? " AND c.id IN (SELECT value FROM json_each(?))" : ""}
     ORDER BY rank
     LIMIT ?
   `);
-  return stmt.all(query, limit);
+  return onlyIds ? stmt.all(match, JSON.stringify(onlyIds), limit) : stmt.all(match, limit);
 }
-function allIds(db, limit = FTS_CAND) {
-  // fallback if FTS returns 0
-  const stmt = db.prepare(`SELECT id, doc, chunk_id, text FROM chunks LIMIT ?`);
-  return stmt.all(limit);
+function vectorScan(kb, qEmb, limit = FTS_CAND, mask = null) {
+  // brute-force cosine over the preloaded matrix, keep the best `limit` (finds paraphrases FTS misses)
+  let qn = 0;
+  for (let j = 0; j < qEmb.length; j++) qn += qEmb[j] * qEmb[j];
+  qn = Math.sqrt(qn);
+
+  const { matrix, norms, dim } = kb;
+  const top = [];
+  for (let i = 0; i < norms.length; i++) {
+    if (mask && !mask[i]) continue;
+    let dot = 0;
+    const off = i * dim;
+    for (let j = 0; j < dim; j++) dot += qEmb[j] * matrix[off + j];
+    const score = dot / (qn * norms[i] + 1e-10);
+    if (top.length < limit || score > top[top.length - 1].score) {
+      top.push({ i, score });
+      top.sort((a,b)=>b.score-a.score);
+      if (top.length > limit) top.pop();
+    }
+  }
+  return top.map(({ i, score }) => ({
+    id: kb.ids[i],
+    doc: kb.docs[i],
+    chunk_id: kb.chunkIds[i],
+    text: kb.getText.get(kb.ids[i]).text,
+    emb: embAt(kb, i),
+    score
+  }));
 }
 
-async function embed(client, text) {
-  const { embedding } = await client.embeddings({ model: EMB_MODEL, prompt: text });
-  return Float32Array.from(embedding);
+async function embed(text) {
+  return getProvider().embed(EMB_MODEL, text);
 }
 
 // Try deterministic Q/A extraction: if a chunk has
@@ -88,37 +286,155 @@ function tryDirectQA(question, hits) {
   return null;
 }
 
-// Public: answerOnce (RAG)
-async function answerOnce(question) {
-  const qNorm = normalizeQuery(question);
-  const names = discoverDbNames();
-  if (!names.length) return { text: "No RAG databases found. Build first.", hits: [] };
+/**
+ * fuse(lexical, semantic)
+ * lexical: FTS rows ordered by bm25 (lower rank = better); semantic: rows ordered by cosine.
+ * Returns the union with `fused` set, best first. `score` stays the cosine similarity.
+ * - rrf:      Σ 1 / (RRF_K + position) over the lists a row appears in
+ * - weighted: VEC_WEIGHT·cosine' + (1-VEC_WEIGHT)·bm25' (both min-max normalized per list)
+ */
+function fuse(lexical, semantic) {
+  const byId = new Map();
+  for (const r of semantic) byId.set(r.id, { ...r, fused: 0 });
+  for (const r of lexical) {
+    if (byId.has(r.id)) byId.get(r.id).rank = r.rank;
+    else byId.set(r.id, { ...r, fused: 0 });
+  }
 
-  const client = new Ollama({ host: OLLAMA_HOST });
-  const qEmb = await embed(client, qNorm);
+  if (FUSION === "weighted") {
+    const norm = (vals) => {
+      const lo = Math.min(...vals), hi = Math.max(...vals);
+      return (v) => (hi - lo > 1e-12 ? (v - lo) / (hi - lo) : 1);
+    };
+    const lexN = norm(lexical.map(r => -r.rank));
+    const vecN = norm(semantic.map(r => r.score));
+    for (const r of lexical) byId.get(r.id).fused += (1 - VEC_WEIGHT) * lexN(-r.rank);
+    for (const r of semantic) byId.get(r.id).fused += VEC_WEIGHT * vecN(r.score);
+  } else {
+    lexical.forEach((r, i) => { byId.get(r.id).fused += 1 / (RRF_K + i + 1); });
+    semantic.forEach((r, i) => { byId.get(r.id).fused += 1 / (RRF_K + i + 1); });
+  }
+  return [...byId.values()].sort((a,b)=>b.fused-a.fused);
+}
 
-  const dbs = openDbs(names);
+// Hybrid retrieval over every KB: BM25 candidates + vector scan, fused (keeps `emb` for MMR).
+// filter (compiled lib/filter.js predicate) restricts both candidate lists before ranking.
+function scoreCandidates(names, qNorm, qEmb, perDb, filter = null) {
   const results = [];
-  for (const { name, db } of dbs) {
-    let cands = ftsSearch(db, qNorm, FTS_CAND);
-    if (!cands.length) cands = allIds(db, FTS_CAND);
-
-    const getEmb = db.prepare(`SELECT emb FROM chunks WHERE id=?`);
-    const scored = cands.map(row => {
-      const emb = bufToF32(getEmb.get(row.id).emb);
-      return { ...row, source: name, score: cosine(qEmb, emb) };
-    });
-    scored.sort((a,b)=>b.score-a.score);
-    results.push(...scored.slice(0, TOP_K));
+  for (const name of names) {
+    const kb = getKb(name);
+    if (!kb) continue;
+    assertCompatible(kb, qEmb);
+    const mask = filterMask(kb, filter);
+    if (mask && !mask.includes(1)) continue;
+    const semantic = vectorScan(kb, qEmb, FTS_CAND, mask);
+    // lexical-only rows still need their cosine score (taken from the matrix)
+    const seen = new Set(semantic.map(r => r.id));
+    const onlyIds = mask && kb.ids.filter((_, i) => mask[i]);
+    const lexical = ftsSearch(kb.db, qNorm, FTS_CAND, onlyIds).filter(row => kb.pos.has(row.id));
+    for (const row of lexical) {
+      if (seen.has(row.id)) continue;
+      row.emb = embAt(kb, kb.pos.get(row.id));
+      row.score = cosine(qEmb, row.emb);
+    }
+    results.push(...fuse(lexical, semantic).slice(0, perDb).map(r => ({ ...r, source: name })));
+  }
+  results.sort((a,b)=>b.fused-a.fused);
+  return results;
+}
+
+// Maximal marginal relevance: greedily pick hits that are relevant but not
+// near-duplicates of what is already picked (overlapping chunks, repeated docs)
+// Relevance is the fused score scaled to 0..1, similarity is cosine between chunks.
+function mmrSelect(cands, k, lambda = MMR_LAMBDA) {
+  const picked = [];
+  const pool = cands.slice();
+  const maxFused = Math.max(1e-12, ...pool.map(c => c.fused));
+  while (picked.length < k && pool.length) {
+    let bestIdx = 0, bestVal = -Infinity;
+    for (let i = 0; i < pool.length; i++) {
+      let maxSim = 0;
+      for (const p of picked) maxSim = Math.max(maxSim, cosine(pool[i].emb, p.emb));
+      const val = lambda * (pool[i].fused / maxFused) - (1 - lambda) * maxSim;
+      if (val > bestVal) { bestVal = val; bestIdx = i; }
+    }
+    picked.push(pool.splice(bestIdx, 1)[0]);
+  }
+  return picked;
+}
+
+const stripEmb = ({ emb, ...rest }) => rest;
+
+// per-chunk metadata (chunks.meta JSON) that is passed through to citations
+const CITE_KEYS = ["section", "page_start", "page_end"];
+
+// public hit shape: no embedding, citation metadata under `meta` (doc title, section / pages when known)
+function toHit(h) {
+  const kb = kbCache.get(h.source);
+  const extra = parseJson(kb?.getMeta?.get(h.id)?.meta);
+  const meta = { source: h.source, doc: h.doc, chunk: h.chunk_id };
+  const title = kb?.getDoc?.get(h.doc)?.title;
+  if (title) meta.title = title;
+  for (const k of CITE_KEYS) if (extra[k] != null) meta[k] = extra[k];
+  return { ...stripEmb(h), meta };
+}
+
+/**
+ * Public: search(query, { topK, mmr, kbs, exclude, allow, minScore, filter })
+ * Retrieval only (no generation). Returns chunks best first (fused BM25 + cosine rank);
+ * `score` is the cosine similarity, `fused` the fusion score:
+ *   [{ id, text, score, fused, source, doc, chunk_id, meta: { source, doc, chunk, title?, section?, page_start?, page_end? } }, ...]
+ * mmr: rerank a wider candidate pool with maximal marginal relevance.
+ * allow: KBs that may be searched at all (an API key's allow-list); kbs/exclude narrow it further.
+ * minScore: drop hits below this score (default: keep everything).
+ * filter: metadata expression ("tags:hr AND type:pdf", see lib/filter.js); only matching chunks are
+ *   ranked. A malformed expression throws (code BAD_FILTER).
+ */
+async function search(query, opts = {}) {
+  const topK = opts.topK ?? TOP_K;
+  const qNorm = normalizeQuery(query);
+  const names = resolveKbNames(opts);
+  const filter = compileFilter(opts.filter);
+  if (!names.length || !qNorm) return [];
+
+  const qEmb = await embed(qNorm);
+
+  const pool = scoreCandidates(names, qNorm, qEmb, opts.mmr ? FTS_CAND : topK, filter)
+    .filter(h => h.score >= (opts.minScore ?? -Infinity));
+  const hits = opts.mmr ? mmrSelect(pool, topK) : pool.slice(0, topK);
+  return hits.map(toHit);
+}
+
+// Public: answerOnce (RAG)
+// opts.kbs / opts.exclude limit which DBs are searched (a bare string or array is treated as kbs)
+// opts.filter restricts retrieval to chunks matching a metadata expression (see search)
+// opts.onToken(token) streams the answer; canned/extracted answers arrive as a single token
+// opts.signal (AbortSignal) stops the generation, which then rejects with an AbortError
+async function answerOnce(question, opts = {}) {
+  if (typeof opts === "string" || Array.isArray(opts)) opts = { kbs: opts };
+  opts = opts || {};
+  const emit = (res) => { if (typeof opts.onToken === "function" && res.text) opts.onToken(res.text); return res; };
+  const qNorm = normalizeQuery(question);
+  const names = resolveKbNames(opts);
+  const filter = compileFilter(opts.filter);
+  if (!names.length) {
+    // no DBs at all vs. DBs that kbs/exclude (or an allow-list) scoped out
+    const available = discoverDbNames();
+    const text = available.length
+      ? `No knowledge base left to search: the requested KBs exclude all of ${available.join(", ")}.`
+      : "No RAG databases found. Build first.";
+    return emit({ text, hits: [], mode: "rag" });
   }
-  results.sort((a,b)=>b.score-a.score);
-  const hits = results.slice(0, TOP_K);
-  if (!hits.length || hits[0].score < MIN_SIM) {
-return { text: "Not enough info in the knowledge base to answer confidently.", hits: [], mode: "rag" };
+
+  const qEmb = await embed(qNorm);
+
+  const hits = scoreCandidates(names, qNorm, qEmb, TOP_K, filter).slice(0, TOP_K).map(toHit);
+  if (!hits.length || Math.max(...hits.map(h => h.score)) < MIN_SIM) {
+    return emit({ text: "Not enough info in the knowledge base to answer confidently.", hits: [], mode: "rag" });
   }
 
   const qa = tryDirectQA(qNorm, hits);
-if (qa) return { text: qa.answer, hits, mode: "rag" };
+  if (qa) return emit({ text: qa.answer, hits, mode: "rag" });
 
   const ctx = hits.map((t,i)=>`[Context ${i+1}]\n${t.text}`).join("\n\n");
   const prompt = `Use ONLY the provided CONTEXT. If the answer isn't present, say "I don't know based on the provided documents."
@@ -131,13 +447,29 @@ QUESTION: ${qNorm}
 Answer in 1–2 short sentences:`;
 
   const GEN_MODEL = process.env.GEN_MODEL || "qwen2.5:1.5b";
-  const { response } = await client.generate({
+  const response = await getProvider().generate({
     model: GEN_MODEL,
     prompt,
-    options: { temperature: 0.0, num_predict: FAST ? 48 : 64, keep_alive: "5m" }
+    options: { temperature: 0.0, num_predict: FAST ? 48 : 64, keep_alive: "5m" },
+    onToken: opts.onToken,
+    signal: opts.signal
   });
 
-return { text: String(response || "").trim(), hits, mode: "rag" };
+  return { text: response.trim(), hits, mode: "rag" };
+}
+
+// Public: grounded generation with the RAG model (prompt already carries the context)
+// opts: { onToken?, signal?, num_predict? } — signal aborts a streamed generation
+async function generate(prompt, opts = {}) {
+  const GEN_MODEL = process.env.GEN_MODEL || "qwen2.5:1.5b";
+  const response = await getProvider().generate({
+    model: GEN_MODEL,
+    prompt,
+    options: { temperature: 0.0, num_predict: opts.num_predict ?? (FAST ? 96 : 160), keep_alive: "5m" },
+    onToken: opts.onToken,
+    signal: opts.signal
+  });
+  return response.trim();
 }
 
-module.exports = { answerOnce, discoverDbNames };
\ No newline at end of file
+module.exports = { initRetrieval, close, search, answerOnce, generate, discoverDbNames, resolveKbNames, buildFtsQuery };
\ No newline at end of file
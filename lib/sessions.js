@@ -0,0 +1,106 @@
+// lib/sessions.js
+// Conversation sessions persisted in SQLite (db/_sessions.db, next to the KBs but never listed as
+// one): sliding TTL expiry and a cap on stored messages, so restarts keep conversations and
+// memory/disk stay bounded. The stored state is lib/conversation.js initState() plus its messages.
+// With API keys (lib/auth.js) a session belongs to the key that created it; other keys can't see it.
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { DB_DIR, hasColumn } = require('./db');
+const { initState } = require('./conversation');
+
+const SESSION_TTL_HOURS    = Number(process.env.SESSION_TTL_HOURS || 24);
+const SESSION_MAX_MESSAGES = Number(process.env.SESSION_MAX_MESSAGES || 40);
+// client-chosen ids are accepted too (older clients), within reason; server-issued ids are UUIDs
+const SESSION_ID_RE = /^[\w.:-]{1,128}$/;
+
+/**
+ * createSessionStore({ file?, ttlMs?, maxMessages?, now? })
+ *   create(owner?)           → { id, state, created_at, updated_at, expires_at }  (server-issued UUID)
+ *   get(id, owner?)          → same shape, or null when unknown / expired / someone else's (expired rows are deleted)
+ *   open(id, owner?)         → get(), or a new empty session under that (client-chosen) id;
+ *                              null only when the id is another owner's live session
+ *   save(id, state, owner?)  → upsert; keeps the last maxMessages messages and restarts the TTL
+ *                              (null, and nothing saved, when the id belongs to another owner)
+ *   remove(id, owner?)       → true when a session was deleted
+ *   purgeExpired()           → number of sessions dropped
+ * owner: API key name, or null without keys. Timestamps are ISO strings; `now` is injectable for tests.
+ */
+function createSessionStore(opts = {}){
+  const file = opts.file || path.join(DB_DIR, '_sessions.db');
+  const ttlMs = opts.ttlMs ?? SESSION_TTL_HOURS * 3600 * 1000;
+  const maxMessages = opts.maxMessages ?? SESSION_MAX_MESSAGES;
+  const now = opts.now || Date.now;
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id         TEXT PRIMARY KEY,
+      state      TEXT NOT NULL,     -- JSON conversation state
+      created_at INTEGER NOT NULL,  -- ms since epoch
+      updated_at INTEGER NOT NULL,
+      owner      TEXT               -- API key name (NULL without keys)
+    );
+    CREATE INDEX IF NOT EXISTS idx_sessions_updated ON sessions(updated_at);
+  `);
+  if (!hasColumn(db, 'sessions', 'owner')) db.exec(`ALTER TABLE sessions ADD COLUMN owner TEXT`);
+  const sel    = db.prepare(`SELECT * FROM sessions WHERE id=?`);
+  const upsert = db.prepare(`INSERT INTO sessions (id, state, created_at, updated_at, owner) VALUES (@id, @state, @now, @now, @owner)
+    ON CONFLICT(id) DO UPDATE SET state=excluded.state, updated_at=excluded.updated_at WHERE sessions.owner IS excluded.owner`);
+  const del    = db.prepare(`DELETE FROM sessions WHERE id=? AND owner IS ?`);
+  // expired = updated_at + ttl <= now, the same boundary get() uses
+  const purge  = db.prepare(`DELETE FROM sessions WHERE updated_at <= ?`);
+
+  const iso = (ms) => new Date(ms).toISOString();
+  const view = (row) => ({
+    id: row.id,
+    state: JSON.parse(row.state),
+    created_at: iso(row.created_at),
+    updated_at: iso(row.updated_at),
+    expires_at: iso(row.updated_at + ttlMs)
+  });
+
+  function save(id, state, owner = null){
+    const messages = (state.messages || []).slice(-maxMessages);
+    upsert.run({ id, state: JSON.stringify({ ...state, messages }), now: now(), owner });
+    return get(id, owner);
+  }
+
+  function get(id, owner = null){
+    const row = sel.get(String(id));
+    if (!row || row.owner !== owner) return null;
+    if (row.updated_at + ttlMs <= now()) { del.run(row.id, row.owner); return null; }
+    return view(row);
+  }
+
+  function open(id, owner = null){
+    const mine = get(id, owner);
+    if (mine) return mine;
+    const row = sel.get(String(id));
+    if (row) {
+      if (row.updated_at + ttlMs > now()) return null; // live, and not ours
+      del.run(row.id, row.owner);                       // expired: the id is free again
+    }
+    return save(String(id), initState(), owner);
+  }
+
+  function create(owner = null){
+    purgeExpired();
+    return save(crypto.randomUUID(), initState(), owner);
+  }
+
+  function remove(id, owner = null){
+    return del.run(String(id), owner).changes > 0;
+  }
+
+  function purgeExpired(){
+    return purge.run(now() - ttlMs).changes;
+  }
+
+  return { create, get, open, save, remove, purgeExpired, close: () => db.close() };
+}
+
+const isValidSessionId = (id) => SESSION_ID_RE.test(String(id ?? ''));
+
+module.exports = { createSessionStore, isValidSessionId, SESSION_TTL_HOURS, SESSION_MAX_MESSAGES };
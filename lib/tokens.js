@@ -0,0 +1,102 @@
+// lib/tokens.js
+// Approximate token counts for chunk sizing — no tokenizer download, close enough (±20%) to the
+// WordPiece/BPE vocabularies of the usual embedding models:
+//   words ≈ 1 token per 4 characters, CJK ideographs/kana/hangul 1 token each, punctuation 1 each.
+
+// CJK scripts are written without spaces and tokenize roughly per character
+const CJK = '\\u2e80-\\u2fff\\u3000-\\u30ff\\u3100-\\u31ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff\\uff00-\\uffef';
+const PIECE = new RegExp(`[${CJK}]|[\\p{P}\\p{S}]|[^\\s${CJK}\\p{P}\\p{S}]+`, 'gu');
+const CHARS_PER_TOKEN = 4;
+
+const pieceTokens = (p) => (p.length === 1 ? 1 : Math.ceil(p.length / CHARS_PER_TOKEN));
+
+/** countTokens(text): approximate token count */
+function countTokens(text){
+  let n = 0;
+  for (const m of String(text || '').matchAll(PIECE)) n += pieceTokens(m[0]);
+  return n;
+}
+
+/**
+ * splitTokens(text, size): pieces of ≤ size tokens, cut between words. Only a single "word" longer
+ * than size (a CJK run, a URL, a minified line) is cut inside, and then between tokens.
+ */
+function splitTokens(text, size){
+  const out = [];
+  let buf = '', n = 0;
+  const flush = () => { if (buf.trim()) out.push(buf.trim()); buf = ''; n = 0; };
+  for (const word of String(text || '').split(/(\s+)/)) {
+    if (!word) continue;
+    if (/^\s+$/.test(word)) { if (buf) buf += word; continue; }
+    const t = countTokens(word);
+    if (t <= size) {
+      if (n + t > size) flush();
+      buf += word; n += t;
+      continue;
+    }
+    flush();
+    for (const m of word.matchAll(PIECE)) {
+      // a piece can itself be over budget (e.g. 40 letters with size 4): cut it by characters
+      for (let i = 0; i < m[0].length; i += size * CHARS_PER_TOKEN) {
+        const part = m[0].slice(i, i + size * CHARS_PER_TOKEN);
+        const pt = pieceTokens(part);
+        if (n + pt > size) flush();
+        buf += part; n += pt;
+      }
+    }
+    flush();
+  }
+  flush();
+  return out;
+}
+
+/** tailTokens(text, n): the last ~n tokens of text, starting at a word boundary */
+function tailTokens(text, n){
+  const words = String(text || '').split(/(?<=\s)(?=\S)/);
+  let start = words.length, used = 0;
+  while (start > 0) {
+    const t = countTokens(words[start - 1]);
+    if (used + t > n) break;
+    used += t; start--;
+  }
+  if (start < words.length) return words.slice(start).join('').trim();
+  // the last word alone is longer than n (CJK, URLs): take its last pieces instead
+  const pieces = [...(words[words.length - 1] || '').matchAll(PIECE)].map(m => m[0]);
+  let tail = '';
+  for (let i = pieces.length - 1, t = 0; i >= 0 && (t += pieceTokens(pieces[i])) <= n; i--) tail = pieces[i] + tail;
+  return tail;
+}
+
+// context windows the common embedding models were trained for (tokens); the embedder silently
+// truncates past this. Keys match the model name without its ":tag" or "org/" prefix.
+// A runtime usually serves them with a smaller window: see EMB_NUM_CTX.
+const MODEL_MAX_TOKENS = {
+  'nomic-embed-text': 8192,
+  'mxbai-embed-large': 512,
+  'all-minilm': 256,
+  'snowflake-arctic-embed': 512,
+  'snowflake-arctic-embed2': 8192,
+  'bge-m3': 8192,
+  'bge-large': 512,
+  'granite-embedding': 512,
+  'paraphrase-multilingual': 128,
+  'text-embedding-3-small': 8191,
+  'text-embedding-3-large': 8191,
+  'text-embedding-ada-002': 8191
+};
+const DEFAULT_MAX_TOKENS = 512;
+// the context the embedder actually runs with: Ollama loads models with 2048 unless num_ctx is set
+// (EMB_NUM_CTX is sent as num_ctx to Ollama; for other servers set it to their configured context)
+const EMB_NUM_CTX = Number(process.env.EMB_NUM_CTX || 2048);
+
+/**
+ * maxTokensFor(model): EMB_MAX_TOKENS, else the model's known limit (or a conservative 512)
+ * capped at the runtime context EMB_NUM_CTX
+ */
+function maxTokensFor(model){
+  if (process.env.EMB_MAX_TOKENS) return Number(process.env.EMB_MAX_TOKENS);
+  const base = String(model || '').toLowerCase().split('/').pop().split(':')[0];
+  return Math.min(MODEL_MAX_TOKENS[base] || DEFAULT_MAX_TOKENS, EMB_NUM_CTX);
+}
+
+module.exports = { countTokens, splitTokens, tailTokens, maxTokensFor, CHARS_PER_TOKEN, EMB_NUM_CTX };
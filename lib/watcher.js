@@ -1,5 +1,6 @@
 // lib/watcher.js
 const chokidar = require("chokidar");
+const fs = require("fs");
 const path = require("path");
 const { spawn } = require("node:child_process");
 
@@ -10,11 +11,25 @@ function run(cmd, args, cwd = process.cwd()) {
   });
 }
 
-function debounce(fn, ms = 300) {
-  let t;
-  return (...a) => {
-    clearTimeout(t);
-    t = setTimeout(() => fn(...a), ms);
+// first path segment under `root` ("data/hr/a.txt" → "hr"), or undefined
+function kbOf(root, filePath) {
+  const parts = filePath.split(path.sep);
+  return parts[parts.indexOf(root) + 1];
+}
+
+// per-KB debounce: events for one KB within `ms` of each other are collected into a single
+// fn(kb, events) call ([{ filePath, removed }]); other KBs have their own timers, so a burst
+// in one KB never swallows an event in another
+function debounceByKb(root, fn, ms = 300) {
+  const pending = new Map(); // kb → { timer, events }
+  return (filePath, removed) => {
+    const kb = kbOf(root, filePath);
+    if (!kb) return;
+    const entry = pending.get(kb) || { timer: null, events: [] };
+    clearTimeout(entry.timer);
+    entry.events.push({ filePath, removed });
+    entry.timer = setTimeout(() => { pending.delete(kb); fn(kb, entry.events); }, ms);
+    pending.set(kb, entry);
   };
 }
 
@@ -30,18 +45,28 @@ function watchRag() {
     ],
   });
 
-  const onChange = debounce(async (filePath) => {
-    const parts = filePath.split(path.sep);
-    const idx = parts.indexOf("data");
-    const kb = parts[idx + 1];
-    if (!kb) return;
-    const isDbPresent = require("fs").existsSync(path.join("db", `${kb}.db`));
+  // one debounce per KB, so a rename (unlink + add) triggers a single run
+  const onEvent = debounceByKb("data", async (kb, events) => {
+    const removed = events.every(e => e.removed);
+    const { filePath } = events[events.length - 1];
+    const isDbPresent = fs.existsSync(path.join("db", `${kb}.db`));
+    if (removed) {
+      // deletions: update.js purges (or re-links) docs that are gone
+      if (!isDbPresent) return; // nothing indexed yet
+      if (!fs.existsSync(path.join("data", kb))) {
+        console.log(`[watch] ${filePath} removed; data/${kb} is gone, leaving db/${kb}.db as is`);
+        return;
+      }
+    }
     const script = isDbPresent ? "update.js" : "build.js";
-    console.log(`[watch] ${filePath} → ${script} ${kb}`);
+    console.log(`[watch] ${filePath}${removed ? " removed" : ""} → ${script} ${kb}`);
     await run("node", [script, kb]);
   }, 500);
 
+  const onChange = (p) => onEvent(p, false);
+  const onRemove = (p) => onEvent(p, true);
   w.on("add", onChange).on("change", onChange);
+  w.on("unlink", onRemove).on("unlinkDir", onRemove);
   return w;
 }
 
@@ -50,6 +75,7 @@ function watchLlm() {
     ignoreInitial: true,
     persistent: true,
     ignored: [
+      /(^|[\\/])merged\.jsonl$/, // written by llm-build.js (run by llm-update.js) itself
       "**/.DS_Store",
       "**/Thumbs.db",
       "**/.gitkeep",
@@ -57,16 +83,22 @@ function watchLlm() {
     ],
   });
 
-  const onChange = debounce(async (filePath) => {
-    const parts = filePath.split(path.sep);
-    const idx = parts.indexOf("llm");
-    const kb = parts[idx + 1];
-    if (!kb) return;
-    console.log(`[watch] ${filePath} → llm-update.js ${kb}`);
+  // llm-update.js rebuilds the KB's index from the files left, so deletions are handled too
+  const onEvent = debounceByKb("llm", async (kb, events) => {
+    const removed = events.every(e => e.removed);
+    const { filePath } = events[events.length - 1];
+    if (!fs.existsSync(path.join("llm", kb))) {
+      console.log(`[watch] ${filePath} removed; llm/${kb} is gone, leaving its index as is`);
+      return;
+    }
+    console.log(`[watch] ${filePath}${removed ? " removed" : ""} → llm-update.js ${kb}`);
     await run("node", ["llm-update.js", kb]);
   }, 500);
 
+  const onChange = (p) => onEvent(p, false);
+  const onRemove = (p) => onEvent(p, true);
   w.on("add", onChange).on("change", onChange);
+  w.on("unlink", onRemove).on("unlinkDir", onRemove);
   return w;
 }
 
@@ -0,0 +1,54 @@
+// lib/zip.js
+// Minimal ZIP reader (stored + deflate entries, no zip64/encryption) — enough for DOCX & co.
+const zlib = require('zlib');
+
+const EOCD_SIG = 0x06054b50; // end of central directory
+const CDIR_SIG = 0x02014b50; // central directory file header
+const LOCAL_SIG = 0x04034b50; // local file header
+
+function findEocd(buf){
+  // the EOCD record is 22 bytes plus an optional comment of up to 64KiB
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new Error('not a zip file (no end of central directory)');
+}
+
+/** listEntries(buf): [{ name, method, compressedSize, size, offset }] */
+function listEntries(buf){
+  const eocd = findEocd(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== CDIR_SIG) throw new Error('corrupt zip central directory');
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    entries.push({
+      name: buf.toString('utf8', p + 46, p + 46 + nameLen),
+      method: buf.readUInt16LE(p + 10),
+      compressedSize: buf.readUInt32LE(p + 20),
+      size: buf.readUInt32LE(p + 24),
+      offset: buf.readUInt32LE(p + 42)
+    });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+/** readEntry(buf, name): Buffer with the entry's contents, or null when missing */
+function readEntry(buf, name){
+  const entry = listEntries(buf).find(e => e.name === name);
+  if (!entry) return null;
+  const p = entry.offset;
+  if (buf.readUInt32LE(p) !== LOCAL_SIG) throw new Error(`corrupt zip entry ${name}`);
+  const start = p + 30 + buf.readUInt16LE(p + 26) + buf.readUInt16LE(p + 28);
+  const data = buf.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return Buffer.from(data);
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new Error(`unsupported zip compression method ${entry.method} for ${name}`);
+}
+
+module.exports = { listEntries, readEntry };
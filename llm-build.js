@@ -7,8 +7,14 @@ const LLM_ROOT = "llm";
 
 function mergeOne(kb) {
   const dir = path.join(LLM_ROOT, kb);
-  const files = glob.sync(path.join(dir, "**/*.jsonl"));
-  if (!files.length) { console.warn(`(skip) No JSONL in ${dir}`); return; }
+  const outPath = path.join(dir, "merged.jsonl");
+  // merged.jsonl is our own output: re-reading it would keep rows of deleted source files forever
+  const files = glob.sync(path.join(dir, "**/*.jsonl"), { ignore: "**/merged.jsonl" });
+  if (!files.length) {
+    if (fs.existsSync(outPath)) { fs.rmSync(outPath); console.log(`✅ Removed ${outPath} (no source JSONL left).`); }
+    else console.warn(`(skip) No JSONL in ${dir}`);
+    return;
+  }
   const out = [];
   for (const f of files) {
     const lines = fs.readFileSync(f, "utf8").split(/\r?\n/).filter(Boolean);
@@ -16,7 +22,6 @@ function mergeOne(kb) {
       try { JSON.parse(ln); out.push(ln); } catch { console.warn(`(skip bad) ${f}`); }
     }
   }
-  const outPath = path.join(dir, "merged.jsonl");
   fs.writeFileSync(outPath, out.join("\n") + "\n", "utf8");
   console.log(`✅ Built ${outPath} (${out.length} examples).`);
 }
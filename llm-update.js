@@ -1,5 +1,5 @@
 // llm-update.js — rebuild llm_index/<kb>.jsonl from llm/<kb>/**/*.jsonl
-// (same behavior as build, we just overwrite atomically)
+// (same behavior as build, we just overwrite atomically; merged.jsonl would only duplicate the sources)
 const fs = require("fs");
 const path = require("path");
 const glob = require("glob");
@@ -11,11 +11,19 @@ async function updateOne(kb) {
   const kbDir = path.join("llm", kb);
   if (!fs.existsSync(kbDir)) { console.error(`No llm/${kb} folder`); process.exit(1); }
 
-  const files = glob.sync(`${kbDir}/**/*.jsonl`, { nocase: true });
-  if (!files.length) { console.warn(`(skip) No .jsonl in llm/${kb}`); return; }
+  // the few-shot embedding cache (lib/llmRunner.js) is rebuilt from the current files on next start
+  fs.rmSync(path.join(".cache", "llm_index", `${kb}.json`), { force: true });
 
-  ensureDir("llm_index");
+  const files = glob.sync(`${kbDir}/**/*.jsonl`, { nocase: true, ignore: "**/merged.jsonl" });
   const out = path.join("llm_index", `${kb}.jsonl`);
+  if (!files.length) {
+    // the last example file was deleted: its examples must not stay indexed
+    if (fs.existsSync(out)) { fs.rmSync(out); console.log(`✅ Removed ${out} (no .jsonl left in llm/${kb}).`); }
+    else console.warn(`(skip) No .jsonl in llm/${kb}`);
+    return;
+  }
+
+  ensureDir("llm_index");
   const tmp = `${out}.tmp`;
 
   const ws = fs.createWriteStream(tmp, { flags: "w" });
@@ -11,27 +11,19 @@ const llm = require("./lib/llmRunner");          // optional fallback
 (async function main(){
   await ensureModels([process.env.EMB_MODEL || "nomic-embed-text", process.env.GEN_MODEL || "qwen2.5:1.5b"]);
 
+  // optional KB scope: `node query.js business` or `node query.js business,history`
   const argDb = process.argv[2] || null;
+  const kbs = argDb ? argDb.split(",").map(s => s.trim()).filter(Boolean) : null;
   // discoverDbNames may be in retriever; if not, just show arg or "all"
   const list = (typeof retriever.discoverDbNames === "function") ? retriever.discoverDbNames() : [];
-  console.log(`Loaded DBs: ${argDb ? argDb : (list.length ? list.join(", ") : "all")}`);
+  const missing = (kbs || []).filter(n => !list.includes(n));
+  if (missing.length) {
+    console.error(`No DB for: ${missing.join(", ")}. Available: ${list.join(", ") || "(none)"}`);
+    process.exit(1);
+  }
+  console.log(`Loaded DBs: ${kbs ? kbs.join(", ") : (list.length ? list.join(", ") : "all")}`);
   console.log("Type 'exit' to quit.");
 
-  // adapter for conversation.js
-  const retrieverAdapter = {
-    async search(query, opts) {
-      if (typeof retriever.search === "function") {
-        return retriever.search(query, opts);
-      }
-      const res = await retriever.answerOnce(query, argDb);
-      return (res.hits || []).map(h => ({
-        text: h.text || h.doc || "",
-        score: typeof h.score === "number" ? h.score : (h.sim || 0),
-        meta: { source: h.source, title: h.title, chunk: h.chunk_id }
-      }));
-    }
-  };
-
   // optional LLM init
   if (llm && typeof llm.init === "function") {
     try { await llm.init(); } catch {/* ignore */}
@@ -45,20 +37,24 @@ const llm = require("./lib/llmRunner");          // optional fallback
       if (!qt) return askOnce();
       if (qt.toLowerCase() === "exit") { rl.close(); process.exit(0); }
 
+      // stream tokens as they arrive
+      process.stdout.write("\n--- Answer ---\n");
       const res = await convo.answerTurn(
         state,
         qt,
-        retrieverAdapter,
+        retriever,                    // search() + grounded generate()
         llm,                          // used only if retrieval returns nothing
-        { topK: 5, threshold: 0.38 }  // tune as desired
+        { topK: 5, threshold: 0.38, kbs, raw: process.env.RAW_ANSWERS === "1", onToken: (t) => process.stdout.write(t) }  // tune as desired
       );
-
-      console.log("\n--- Answer ---\n" + res.text);
+      process.stdout.write("\n");
       console.log("\n--- Sources ---");
-      (res.hits || []).forEach(h => {
-        const src = (h.meta?.title || h.meta?.source || "doc");
+      (res.hits || []).forEach((h, i) => {
+        const at = convo.citeLocation(h.meta);
+        const src = h.meta?.doc
+          ? `[${h.meta.source}] ${h.meta.doc}${at ? ` › ${at}` : ""} [chunk ${h.meta.chunk}]`
+          : (h.meta?.title || h.meta?.source || "doc");
         const s = typeof h.score === "number" ? h.score.toFixed(3) : "n/a";
-        console.log(`• ${src} (sim≈${s})`);
+        console.log(`[${i + 1}] ${src} (sim≈${s})`);
       });
     } catch (e) {
       console.error("Error:", e?.message || e);
@@ -1,5 +1,16 @@
 // server.js — HTTP API (conversational RAG by default)
-// POST /query { "question": "...", "session_id": "optional" } → { status, answer, mode, sources[] }
+// POST /query { "question": "...", "session_id": "optional", "kbs": ["optional"], "exclude_kbs": ["optional"],
+//               "filter": "tags:hr AND type:pdf" (optional, see lib/filter.js), "raw": false }
+//   → { status, answer, mode, sources[] }   (answer cites sources as [n] → sources[n-1])
+// POST /query/stream (same body) → text/event-stream of token events, then a done event
+// POST /sessions → { status, session_id, expires_at }   (server-issued id for session_id)
+// GET /sessions/:id → { status, session_id, messages[], created_at, updated_at, expires_at }
+// DELETE /sessions/:id → { status, deleted }
+// GET /v1/models, POST /v1/chat/completions (stream: true too) → OpenAI chat API shapes, cited
+//   sources in the extra "sources" field; models are KB/mode combinations (see lib/openai.js)
+// Auth (lib/auth.js): once an API key exists (node keys.js add …), every route but "/" needs
+// "Authorization: Bearer <key>" → 401 without a valid key, 403 for KBs outside its allow-list,
+// 429 (+ Retry-After) past its rate limit. Sessions belong to the key that created them.
 
 require("dotenv").config();
 const express = require("express");
@@ -9,36 +20,165 @@ const { ensureModels } = require("./lib/models");
 const retriever = require("./lib/retriever");      // existing RAG
 const llm       = require("./lib/llmRunner");      // few-shot LLM (optional)
 const { startWatcher } = require("./lib/watcher");
+const { compileFilter } = require("./lib/filter");
+const { createSessionStore, isValidSessionId } = require("./lib/sessions");
+const openai = require("./lib/openai");
+const auth = require("./lib/auth");
 
 // NEW: conversation layer
 const convo = require("./lib/conversation");
 
-// crude per-client session store (memory)
-const sessionStates = new Map();
-function getState(id = "default") {
-  if (!sessionStates.has(id)) sessionStates.set(id, convo.initState());
-  return sessionStates.get(id);
+// conversation sessions (db/_sessions.db) and API keys (db/_keys.db), opened in boot()
+let sessions = null;
+let keys = null;
+const limiter = auth.createRateLimiter();
+
+const fail = (res, status, error) => res.status(status).json({ status: "error", error });
+
+// AbortSignal for a streamed response: aborts when the client disconnects before the response
+// ends. (Listens on res — on Node ≥ 16 req emits "close" as soon as its body has been read.)
+function disconnectSignal(res) {
+  const ac = new AbortController();
+  res.on("close", () => { if (!res.writableEnded) ac.abort(); });
+  return ac.signal;
 }
 
-// adapter to give conversation.js a search() using your retriever
-const retrieverAdapter = {
-  async search(query, opts) {
-    // if you later add retriever.search, we'll use it
-    if (typeof retriever.search === "function") {
-      return retriever.search(query, opts);
-    }
-    // otherwise call answerOnce and map hits → docs
-    const res = await retriever.answerOnce(query);
-    return (res.hits || []).map(h => ({
-      text: h.text || h.doc || "",
-      score: typeof h.score === "number" ? h.score : (h.sim || 0),
-      meta: { source: h.source, title: h.title, chunk: h.chunk_id }
-    }));
+// API key check + rate limit; sets req.apiKey (null when auth is off or no key exists yet)
+function authenticate(req, res, next) {
+  req.apiKey = null;
+  if (auth.API_AUTH === "off" || (auth.API_AUTH !== "on" && keys.count() === 0)) return next();
+
+  const token = auth.bearerToken(req.get("authorization"));
+  const key = token && keys.verify(token);
+  if (!key) {
+    res.set("WWW-Authenticate", "Bearer");
+    return fail(res, 401, token ? "Invalid API key." : "Missing API key (send \"Authorization: Bearer <key>\").");
+  }
+  const { ok, retryAfter } = limiter.take(key.name, key.rate ?? auth.RATE_LIMIT_PER_MIN, key.burst ?? auth.RATE_LIMIT_BURST);
+  if (!ok) {
+    res.set("Retry-After", String(retryAfter));
+    return fail(res, 429, `Rate limit exceeded; retry in ${retryAfter}s.`);
   }
-};
+  req.apiKey = key;
+  next();
+}
+
+// error message for an unusable filter expression, else null
+function checkFilter(filter) {
+  if (filter != null && typeof filter !== "string") return "'filter' must be a string, e.g. \"tags:hr AND type:pdf\".";
+  try { compileFilter(filter); } catch (e) { return e.message; }
+  return null;
+}
+
+// "a, b" | ["a", "b"] → ["a", "b"]
+const toNames = (v) => (Array.isArray(v) ? v : String(v || "").split(",")).map(s => String(s).trim()).filter(Boolean);
+
+// validate a /query body → { question, session, kbs, exclude, filter, raw, allow, owner }
+// or { error, status? } (status defaults to 400); `key` is the caller's API key (or null)
+function parseQuery(body, key) {
+  const { question, session_id, kbs, exclude_kbs, filter, raw } = body || {};
+  if (!question || !String(question).trim()) return { error: "Missing 'question'." };
+  if (session_id != null && !isValidSessionId(session_id)) {
+    return { error: "'session_id' must be 1-128 letters, digits or . _ : - (or get one from POST /sessions)." };
+  }
+  for (const [field, v] of [["kbs", kbs], ["exclude_kbs", exclude_kbs]]) {
+    if (v != null && !Array.isArray(v) && typeof v !== "string") return { error: `'${field}' must be an array or comma-separated string.` };
+  }
+  if (raw != null && typeof raw !== "boolean") return { error: "'raw' must be true or false." };
+
+  // scope retrieval to the requested KBs (names outside the key's allow-list, then unknown names, are rejected)
+  const available = retriever.discoverDbNames();
+  const requested = toNames(kbs);
+  const forbidden = key?.kbs ? requested.filter(n => !key.kbs.includes(n)) : [];
+  if (forbidden.length) return { error: `This API key may not query KB(s): ${forbidden.join(", ")}`, status: 403 };
+  const unknown = requested.filter(n => !available.includes(n));
+  if (unknown.length) return { error: `Unknown KB(s): ${unknown.join(", ")}` };
+  // excluding is harmless, but a typo would silently search the KB it meant to skip
+  const unknownExcluded = toNames(exclude_kbs).filter(n => !auth.allowedKbs(key, available).includes(n));
+  if (unknownExcluded.length) return { error: `Unknown KB(s) in 'exclude_kbs': ${unknownExcluded.join(", ")}` };
+
+  const bad = checkFilter(filter);
+  if (bad) return { error: bad };
+
+  // a new (or expired) client-chosen id starts a session under that id; another key's session
+  // is an error, not a silently unsaved conversation
+  const session = session_id != null ? sessions.open(session_id, key?.name ?? null) : null;
+  if (session_id != null && !session) {
+    return { error: "This 'session_id' is in use by another client; call POST /sessions first and send the id it returns.", status: 404 };
+  }
+
+  return {
+    question: String(question), session, kbs, exclude: exclude_kbs, filter, raw: raw ?? RAW_ANSWERS,
+    allow: key?.kbs ?? undefined, owner: key?.name ?? null
+  };
+}
+
+// one conversational turn; with a session the conversation is continued and saved,
+// without one the question is answered on its own
+async function runTurn(q, onToken, signal) {
+  const state = q.session ? q.session.state : convo.initState();
+  const result = await answerIn(state, q, onToken, signal);
+  if (q.session) sessions.save(q.session.id, state, q.owner);
+  return result;
+}
+
+// answer q.question within `state`; q.fallback === false keeps answers to the documents,
+// q.allow (the API key's allow-list) bounds which KBs retrieval may touch
+function answerIn(state, q, onToken, signal) {
+  return convo.answerTurn(
+    state,
+    q.question,
+    retriever,                                // search() + grounded generate()
+    q.fallback === false ? null : llm,        // used only if retrieval returns nothing
+    { topK: 5, threshold: 0.38, kbs: q.kbs, exclude: q.exclude, allow: q.allow, filter: q.filter, raw: q.raw, onToken, signal }    // tune 0.35–0.45 if needed
+  );
+}
+
+// validate a /v1/chat/completions body → { model, messages, stream, state, q } or { error }
+// (extension: "filter", as for /query; temperature, max_tokens etc. are accepted and ignored)
+// Models for KBs outside the key's allow-list don't exist for that key.
+function parseChat(body, key) {
+  const { model = openai.MODEL_PREFIX, messages, stream, filter } = body || {};
+  const target = openai.parseModel(model, auth.allowedKbs(key, retriever.discoverDbNames()));
+  if (!target) return { error: `Unknown model '${model}' (see GET /v1/models).`, code: "model_not_found" };
+  const replay = openai.replayMessages(messages);
+  if (replay.error) return { error: replay.error };
+  const bad = checkFilter(filter);
+  if (bad) return { error: bad };
+  return {
+    model, messages, stream: stream === true, state: replay.state,
+    q: { question: replay.question, kbs: target.kbs, fallback: target.fallback, filter, raw: RAW_ANSWERS, allow: key?.kbs ?? undefined }
+  };
+}
+
+const sessionView = (s) => ({
+  session_id: s.id,
+  messages: s.state.messages || [],
+  created_at: s.created_at,
+  updated_at: s.updated_at,
+  expires_at: s.expires_at
+});
+
+function toSources(hits) {
+  // ref is the [n] citation marker used in the answer; doc is the path relative to data/<db>/
+  return (hits || []).map((h, i) => ({
+    ref: i + 1,
+    source: h.meta?.title || h.meta?.doc || h.meta?.source || "doc",
+    db: h.meta?.source ?? null,
+    doc: h.meta?.doc ?? null,
+    chunk_id: h.meta?.chunk ?? null,
+    section: h.meta?.section ?? null, // heading path ("Setup > Linux") for Markdown-style docs
+    page_start: h.meta?.page_start ?? null, // page range for paged docs (PDF)
+    page_end: h.meta?.page_end ?? null,
+    score: typeof h.score === "number" ? h.score : null
+  }));
+}
 
 const MODE = (process.env.MODE || "hybrid").toLowerCase();
+// RAW_ANSWERS=1 → reply with the top chunk verbatim instead of a generated, cited answer
+const RAW_ANSWERS = process.env.RAW_ANSWERS === "1";
 const PORT = Number(process.env.PORT || 3001);
+const BOOTED_AT = Date.now();
 
 async function boot() {
   console.log(`Booting API in mode=${MODE} …`);
@@ -56,8 +196,25 @@ async function boot() {
     }
   }
 
-  // start watcher (your existing behavior)
-  try { startWatcher(); } catch { /* ignore */ }
+  // open each KB once and preload its embeddings (reloaded automatically when the DB changes)
+  try { await retriever.initRetrieval(); } catch (e) {
+    console.warn("RAG init warning:", e?.message || e);
+  }
+
+  keys = auth.openKeyStore();
+  if (auth.API_AUTH === "off") console.warn("API_AUTH=off: the API is open to anyone who can reach it.");
+  else if (auth.API_AUTH !== "on" && keys.count() === 0) console.warn("No API keys yet: the API is open. Add one with: node keys.js add <name>");
+
+  sessions = createSessionStore();
+  const purged = sessions.purgeExpired();
+  if (purged) console.log(`Dropped ${purged} expired session(s).`);
+
+  // WATCH=1: re-index data/ and llm/ as files change (same switch as start.js)
+  if (process.env.WATCH === "1") {
+    try { startWatcher(); } catch (e) {
+      console.warn("Watcher not started:", e?.message || e);
+    }
+  }
 
   const app = express();
   app.use(bodyParser.json({ limit: "2mb" }));
@@ -65,40 +222,132 @@ async function boot() {
   app.get("/", (_req, res) => {
     res
       .type("text/plain")
-      .send('LocalKB API\nPOST /query {"question":"..."}');
+      .send('LocalKB API\nPOST /query {"question":"...","session_id":"optional","kbs":["optional"]}\nPOST /query/stream (same body, Server-Sent Events)\n' +
+        'POST /sessions | GET /sessions/:id | DELETE /sessions/:id\n' +
+        'OpenAI-compatible: GET /v1/models | POST /v1/chat/completions\n' +
+        'Auth: "Authorization: Bearer <key>" once API keys exist (node keys.js)');
+  });
+
+  // everything below needs an API key (once keys exist)
+  app.use(authenticate);
+
+  // conversation sessions: server-issued ids, restorable history, reset
+  app.post("/sessions", (req, res) => {
+    const s = sessions.create(req.apiKey?.name ?? null);
+    res.status(201).json({ status: "success", session_id: s.id, expires_at: s.expires_at });
+  });
+
+  app.get("/sessions/:id", (req, res) => {
+    const s = sessions.get(req.params.id, req.apiKey?.name ?? null);
+    if (!s) return fail(res, 404, "Unknown or expired session.");
+    res.json({ status: "success", ...sessionView(s) });
+  });
+
+  app.delete("/sessions/:id", (req, res) => {
+    if (!sessions.remove(req.params.id, req.apiKey?.name ?? null)) return fail(res, 404, "Unknown or expired session.");
+    res.json({ status: "success", deleted: true });
+  });
+
+  // OpenAI-compatible chat API (stateless: the client sends the whole conversation)
+  app.get("/v1/models", (req, res) => {
+    const created = Math.floor(BOOTED_AT / 1000);
+    res.json({
+      object: "list",
+      data: openai.modelIds(auth.allowedKbs(req.apiKey, retriever.discoverDbNames())).map(id => ({ id, object: "model", created, owned_by: "localkb" }))
+    });
+  });
+
+  app.post("/v1/chat/completions", async (req, res) => {
+    const c = parseChat(req.body, req.apiKey);
+    if (c.error) return res.status(c.code === "model_not_found" ? 404 : 400).json(openai.apiError(c.error, "invalid_request_error", c.code || null));
+
+    if (!c.stream) {
+      try {
+        const result = await answerIn(c.state, c.q);
+        return res.json(openai.completion({
+          model: c.model, messages: c.messages, answer: result.text, mode: result.mode, sources: toSources(result.hits)
+        }));
+      } catch (e) {
+        console.error("Chat error:", e);
+        return res.status(e?.code === "KB_MISMATCH" ? 409 : 500).json(openai.apiError(e?.message || String(e), "server_error"));
+      }
+    }
+
+    // stream: data-only Server-Sent Events of chat.completion.chunk objects, then "data: [DONE]"
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    // a client that goes away stops the generation; nothing more is written
+    const signal = disconnectSignal(res);
+    const write = (payload) => { if (!signal.aborted) res.write(`data: ${JSON.stringify(payload)}\n\n`); };
+    const chunks = openai.chunkStream(c.model, write);
+    try {
+      chunks.role();
+      const result = await answerIn(c.state, c.q, chunks.token, signal);
+      chunks.done({ mode: result.mode, sources: toSources(result.hits) });
+    } catch (e) {
+      if (signal.aborted) return;
+      console.error("Chat error:", e);
+      write(openai.apiError(e?.message || String(e), "server_error"));
+    }
+    res.write("data: [DONE]\n\n");
+    res.end();
   });
 
   // conversational /query
   app.post("/query", async (req, res) => {
     try {
-      const { question, session_id } = req.body || {};
-      if (!question || !String(question).trim()) {
-        return res.status(400).json({ status: "error", error: "Missing 'question'." });
-      }
-
-      const state = getState(session_id || req.ip);
+      const q = parseQuery(req.body, req.apiKey);
+      if (q.error) return fail(res, q.status || 400, q.error);
 
-      const result = await convo.answerTurn(
-        state,
-        String(question),
-        retrieverAdapter,
-        llm,                            // used only if retrieval returns nothing
-        { topK: 5, threshold: 0.38 }    // tune 0.35–0.45 if needed
-      );
+      const result = await runTurn(q);
 
       return res.json({
         status: "success",
         answer: result.text,
         mode: result.mode,
-        sources: (result.hits || []).map(h => ({
-          source: h.meta?.title || h.meta?.source || "doc",
-          score: typeof h.score === "number" ? h.score : null
-        }))
+        sources: toSources(result.hits)
+      });
+    } catch (e) {
+      console.error("Query error:", e);
+      // KB_MISMATCH: the KB was embedded with another model → needs re-embedding, not a retry
+      return res.status(e?.code === "KB_MISMATCH" ? 409 : 500).json({ status: "error", error: e?.message || String(e) });
+    }
+  });
+
+  // same as /query, streamed as Server-Sent Events:
+  //   event: token  data: {"token":"..."}         (repeated)
+  //   event: done   data: {status,answer,mode,sources}
+  //   event: error  data: {status:"error",error}
+  app.post("/query/stream", async (req, res) => {
+    const q = parseQuery(req.body, req.apiKey);
+    if (q.error) return fail(res, q.status || 400, q.error);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    // a client that goes away stops the generation; nothing more is written
+    const signal = disconnectSignal(res);
+    const send = (event, data) => { if (!signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+
+    try {
+      const result = await runTurn(q, (token) => send("token", { token }), signal);
+      send("done", {
+        status: "success",
+        answer: result.text,
+        mode: result.mode,
+        sources: toSources(result.hits)
       });
     } catch (e) {
+      if (signal.aborted) return; // client gone: the aborted generation is not an error
       console.error("Query error:", e);
-      return res.status(500).json({ status: "error", error: e?.message || String(e) });
+      send("error", { status: "error", error: e?.message || String(e) });
     }
+    res.end();
   });
 
   app.listen(PORT, () => {
@@ -6,6 +6,7 @@ const readline = require("readline");
 const { ensureModels } = require("./lib/models");
 const retriever = require("./lib/retriever");   // RAG
 const llm = require("./lib/llmRunner");         // Few-shot LLM
+const { citeLocation } = require("./lib/conversation");
 const { startWatcher } = require("./lib/watcher");
 
 const MODE = (process.env.MODE || "hybrid").toLowerCase();
@@ -18,6 +19,10 @@ async function main() {
     llmStore = await llm.init();
   }
 
+  if (MODE !== "llm") {
+    await retriever.initRetrieval();
+  }
+
   if (process.env.WATCH === "1") {
     startWatcher({ rag: MODE !== "llm", llm: MODE !== "rag" });
   }
@@ -30,31 +35,38 @@ async function main() {
     if (!q) return ask();
     if (q.toLowerCase() === "exit") { rl.close(); return; }
     try {
+      // stream tokens as they arrive
+      let streamed = false;
+      const onToken = (t) => { streamed = true; process.stdout.write(t); };
+      process.stdout.write("\n--- Answer ---\n");
+
       let res;
       if (MODE === "rag") {
-        res = await retriever.answerOnce(q);
+        res = await retriever.answerOnce(q, { onToken });
         res.mode = "rag";
       } else if (MODE === "llm") {
-        res = await llm.answerOnceLLM(q, llmStore);
+        res = await llm.answerOnceLLM(q, llmStore, { onToken });
         res.mode = "llm";
       } else {
         // HYBRID: LLM first → fallback to RAG on low confidence
-        const first = await llm.answerOnceLLM(q, llmStore);
+        const first = await llm.answerOnceLLM(q, llmStore, { onToken });
         if (first.text && (first.confidence || 0) >= llm.CONF_THRESH) {
           res = first; // confident LLM
           res.mode = "llm";
         } else {
-          const fb = await retriever.answerOnce(q);
+          if (streamed) process.stdout.write("\n(low confidence — falling back to RAG)\n");
+          const fb = await retriever.answerOnce(q, { onToken });
           res = fb.text ? { ...fb, mode: "rag" } : { ...first, mode: "llm" };
         }
       }
 
-      console.log("\n--- Answer ---\n" + (res.text || "(no answer)"));
-      console.log("\nMode:", res.mode || MODE);
+      if (!streamed) process.stdout.write(res.text || "(no answer)");
+      console.log("\n\nMode:", res.mode || MODE);
       console.log("\n--- Sources ---");
-      (res.hits || []).forEach(h =>
-        console.log(`• [${h.source}] ${h.doc} [chunk ${h.chunk_id}] (sim≈${h.score?.toFixed?.(3) ?? h.score})`)
-      );
+      (res.hits || []).forEach(h => {
+        const at = citeLocation(h.meta);
+        console.log(`• [${h.source}] ${h.doc}${at ? ` › ${at}` : ""} [chunk ${h.chunk_id}] (sim≈${h.score?.toFixed?.(3) ?? h.score})`);
+      });
     } catch (e) {
       console.error("Error:", e?.message || e);
     }
@@ -0,0 +1,110 @@
+// test/auth.test.js — API keys (lib/auth.js): hashed storage, token buckets, and the server's 401/403/429
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { makeWorkspace, removeWorkspace, startServer, stopServer } = require("./helpers");
+const { openKeyStore, createRateLimiter, hashKey } = require("../lib/auth");
+
+let dir, server, base;
+const keys = {};
+
+before(async () => {
+  dir = makeWorkspace();
+  const store = openKeyStore({ file: path.join(dir, "db", "_keys.db") });
+  keys.full = store.add("full", { rate: 0 }).key;
+  keys.other = store.add("other-kb", { kbs: ["hr"], rate: 0 }).key;
+  keys.slow = store.add("slow", { rate: 1, burst: 1 }).key;
+  store.close();
+  ({ server, base } = await startServer(dir));
+});
+
+after(() => {
+  stopServer(server);
+  removeWorkspace(dir);
+});
+
+function call(route, key, body) {
+  const headers = { "Content-Type": "application/json" };
+  if (key) headers.Authorization = `Bearer ${key}`;
+  return fetch(`${base}${route}`, body ? { method: "POST", headers, body: JSON.stringify(body) } : { headers });
+}
+
+test("keys are stored hashed, verified and revoked by name", () => {
+  const file = path.join(dir, "unit-keys.db");
+  const store = openKeyStore({ file });
+  const { key } = store.add("ci", { kbs: ["example"] });
+  assert.match(key, /^lkb_/);
+  assert.throws(() => store.add("ci"), /already exists/);
+  assert.equal(store.verify(key).name, "ci");
+  assert.deepEqual(store.verify(key).kbs, ["example"]);
+  assert.equal(store.verify(key + "x"), null);
+  const raw = new Database(file, { readonly: true });
+  const rows = raw.prepare("SELECT * FROM api_keys").all();
+  raw.close();
+  assert.equal(rows[0].key_hash, hashKey(key));
+  assert.ok(!JSON.stringify(rows).includes(key));
+  assert.equal(store.revoke("ci"), true);
+  assert.equal(store.verify(key), null);
+  store.close();
+});
+
+test("token buckets allow a burst, then refill at the per-minute rate", () => {
+  let clock = 0;
+  const limiter = createRateLimiter({ now: () => clock });
+  assert.equal(limiter.take("a", 60, 2).ok, true);
+  assert.equal(limiter.take("a", 60, 2).ok, true);
+  assert.deepEqual(limiter.take("a", 60, 2), { ok: false, retryAfter: 1 });
+  assert.equal(limiter.take("b", 60, 2).ok, true);
+  clock += 1000;
+  assert.equal(limiter.take("a", 60, 2).ok, true);
+  assert.equal(limiter.take("a", 0, 0).ok, true);
+});
+
+test("requests without a valid key are 401", async () => {
+  let res = await call("/query", null, { question: "When was Acme Corp founded?" });
+  assert.equal(res.status, 401);
+  assert.equal(res.headers.get("www-authenticate"), "Bearer");
+  assert.match((await res.json()).error, /Missing API key/);
+
+  res = await call("/v1/models", "lkb_nope");
+  assert.equal(res.status, 401);
+  assert.deepEqual(await res.json(), { status: "error", error: "Invalid API key." });
+
+  res = await call("/query", keys.full, { question: "When was Acme Corp founded?" });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).sources[0].doc, "business.txt");
+});
+
+test("a key's KB allow-list is enforced by retrieval and the model list", async () => {
+  let res = await call("/query", keys.other, { question: "When was Acme Corp founded?", kbs: ["example"] });
+  assert.equal(res.status, 403);
+  assert.match((await res.json()).error, /may not query KB\(s\): example/);
+
+  res = await call("/query", keys.other, { question: "When was Acme Corp founded?" });
+  assert.deepEqual((await res.json()).sources, []);
+
+  const models = await (await call("/v1/models", keys.other)).json();
+  assert.deepEqual(models.data.map(m => m.id), ["localkb", "localkb:rag"]);
+  res = await call("/v1/chat/completions", keys.other, { model: "localkb/example", messages: [{ role: "user", content: "Acme?" }] });
+  assert.equal(res.status, 404);
+});
+
+test("sessions are private to the key that created them", async () => {
+  const { session_id } = await (await call("/sessions", keys.full, {})).json();
+  assert.equal((await call(`/sessions/${session_id}`, keys.full)).status, 200);
+  assert.equal((await call(`/sessions/${session_id}`, keys.other)).status, 404);
+  // ...and another key can't take the id over by querying with it
+  const res = await call("/query", keys.other, { question: "Acme?", session_id });
+  assert.equal(res.status, 404);
+  assert.match((await res.json()).error, /POST \/sessions/);
+});
+
+test("requests past a key's rate limit are 429 with Retry-After", async () => {
+  const ask = () => call("/query", keys.slow, { question: "When was Acme Corp founded?" });
+  assert.equal((await ask()).status, 200);
+  const res = await ask();
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get("retry-after")) > 0);
+  assert.equal((await res.json()).status, "error");
+});
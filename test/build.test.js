@@ -0,0 +1,223 @@
+// test/build.test.js — build.js atomic swap, checkpoint/resume, rollback and kb_meta with the mock provider
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync, spawnSync } = require("child_process");
+const Database = require("better-sqlite3");
+const { ROOT, MOCK_ENV, makeWorkspace, removeWorkspace } = require("./helpers");
+
+let dir;
+before(() => { dir = makeWorkspace(); });
+after(() => removeWorkspace(dir));
+
+const dbPath = () => path.join(dir, "db", "example.db");
+const build = (...args) => execFileSync(process.execPath, [path.join(ROOT, "build.js"), "example", ...args], {
+  cwd: dir,
+  env: { ...process.env, ...MOCK_ENV },
+  encoding: "utf8",
+  stdio: ["ignore", "pipe", "ignore"]
+});
+// run("update.js", kb): any ingest script on another KB of the workspace
+const run = (script, kb) => execFileSync(process.execPath, [path.join(ROOT, script), kb], {
+  cwd: dir, env: { ...process.env, ...MOCK_ENV }, encoding: "utf8", stdio: ["ignore", "pipe", "ignore"]
+});
+
+function snapshot() {
+  const db = new Database(dbPath(), { readonly: true });
+  try {
+    return {
+      status: db.prepare("SELECT value FROM build_state WHERE key='status'").get().value,
+      docs: db.prepare("SELECT doc FROM ingested_files ORDER BY doc").all().map(r => r.doc),
+      chunks: db.prepare("SELECT COUNT(*) AS n FROM chunks").get().n
+    };
+  } finally {
+    db.close();
+  }
+}
+
+test("a finished build is marked complete", () => {
+  const s = snapshot();
+  assert.equal(s.status, "complete");
+  assert.ok(s.docs.length > 0 && s.chunks > 0);
+});
+
+test("kb_meta records the embedding model, dimension and chunking", () => {
+  const db = new Database(dbPath(), { readonly: true });
+  const meta = Object.fromEntries(db.prepare("SELECT key, value FROM kb_meta").all().map(r => [r.key, r.value]));
+  db.close();
+  assert.equal(meta.emb_model, process.env.EMB_MODEL || "nomic-embed-text");
+  assert.equal(meta.emb_dim, "256");
+  assert.ok(meta.chunk_tokens && meta.overlap_tokens && meta.built_at);
+});
+
+test("update.js refuses a model change until asked to re-embed", () => {
+  const update = (...args) => execFileSync(process.execPath, [path.join(ROOT, "update.js"), "example", ...args], {
+    cwd: dir,
+    env: { ...process.env, ...MOCK_ENV, EMB_MODEL: "other-embedder" },
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  assert.throws(() => update(), (e) => e.status === 1 && /EMB_MODEL is "other-embedder"/.test(e.stderr));
+  assert.match(update("--reembed"), /re-embedded \d+ chunk\(s\) with other-embedder/);
+
+  const db = new Database(dbPath(), { readonly: true });
+  assert.equal(db.prepare("SELECT value FROM kb_meta WHERE key='emb_model'").get().value, "other-embedder");
+  db.close();
+  build(); // back to the default model for the tests below
+});
+
+test("a build leaves no temp file and swaps in a new inode", () => {
+  const before = fs.statSync(dbPath()).ino;
+  build();
+  assert.notEqual(fs.statSync(dbPath()).ino, before);
+  assert.ok(!fs.existsSync(`${dbPath()}.tmp`));
+  assert.ok(!fs.existsSync(`${dbPath()}.bak`));
+});
+
+test("an interrupted build resumes from the temp DB without touching the live one", () => {
+  const full = snapshot();
+  const [dropped] = full.docs;
+
+  // simulate a crash after all but one document were committed to db/example.db.tmp
+  const tmp = `${dbPath()}.tmp`;
+  fs.copyFileSync(dbPath(), tmp);
+  const db = new Database(tmp);
+  db.prepare("UPDATE build_state SET value='building' WHERE key='status'").run();
+  db.prepare("DELETE FROM chunks WHERE doc=?").run(dropped);
+  db.prepare("DELETE FROM ingested_files WHERE doc=?").run(dropped);
+  db.close();
+  assert.deepEqual(snapshot(), full);
+
+  const out = build();
+  assert.match(out, /Resuming/);
+  assert.match(out, new RegExp(`• ${dropped}:`));
+  assert.equal(out.match(/^• /gm).length, 1);
+  assert.deepEqual(snapshot(), full);
+  assert.ok(!fs.existsSync(tmp));
+});
+
+test("a resume drops a committed doc that has since changed into nothing", () => {
+  const full = snapshot();
+  const [emptied] = full.docs;
+  const file = path.join(dir, "data", "example", emptied);
+  const original = fs.readFileSync(file);
+
+  // crashed after every doc was committed (kb_meta has no emb_dim yet); then one doc is emptied
+  const tmp = `${dbPath()}.tmp`;
+  fs.copyFileSync(dbPath(), tmp);
+  const db = new Database(tmp);
+  db.prepare("UPDATE build_state SET value='building' WHERE key='status'").run();
+  db.prepare("DELETE FROM kb_meta WHERE key='emb_dim'").run();
+  db.close();
+  fs.writeFileSync(file, "   \n");
+
+  try {
+    assert.match(build(), /Resuming/);
+    assert.deepEqual(snapshot().docs, full.docs.slice(1));
+    const live = new Database(dbPath(), { readonly: true });
+    assert.equal(live.prepare("SELECT value FROM kb_meta WHERE key='emb_dim'").get().value, "256");
+    assert.equal(live.prepare("SELECT COUNT(*) AS n FROM chunks WHERE doc=?").get(emptied).n, 0);
+    live.close();
+  } finally {
+    fs.writeFileSync(file, original);
+    build();
+  }
+});
+
+test("--fresh ignores the checkpoint", () => {
+  const tmp = `${dbPath()}.tmp`;
+  fs.copyFileSync(dbPath(), tmp);
+  const db = new Database(tmp);
+  db.prepare("UPDATE build_state SET value='building' WHERE key='status'").run();
+  db.close();
+
+  const out = build("--fresh");
+  assert.doesNotMatch(out, /Resuming/);
+  assert.equal(snapshot().status, "complete");
+});
+
+test("--keep-backup keeps the previous DB and --rollback restores it", () => {
+  const old = fs.statSync(dbPath()).ino;
+  build("--keep-backup");
+  assert.equal(fs.statSync(`${dbPath()}.bak`).ino, old);
+
+  const rebuilt = fs.statSync(dbPath()).ino;
+  build("--rollback");
+  assert.equal(fs.statSync(dbPath()).ino, old);
+  assert.equal(fs.statSync(`${dbPath()}.bak`).ino, rebuilt);
+  assert.equal(snapshot().status, "complete");
+});
+
+test("unreadable files and Office lock files are skipped, not fatal", () => {
+  const kbDir = path.join(dir, "data", "broken");
+  fs.mkdirSync(kbDir, { recursive: true });
+  fs.writeFileSync(path.join(kbDir, "good.txt"), "Acme Corp ships anvils to every continent.\n");
+  fs.writeFileSync(path.join(kbDir, "b.json"), "{ \"name\": ");
+  fs.writeFileSync(path.join(kbDir, "~$policy.docx"), "lock");
+  const res = spawnSync(process.execPath, [path.join(ROOT, "build.js"), "broken"], {
+    cwd: dir, env: { ...process.env, ...MOCK_ENV }, encoding: "utf8"
+  });
+  assert.equal(res.status, 0, res.stderr);
+  assert.match(res.stderr, /b\.json: could not be read .*; skipped/);
+  assert.doesNotMatch(res.stdout + res.stderr, /~\$policy/);
+
+  const db = new Database(path.join(dir, "db", "broken.db"), { readonly: true });
+  const docs = db.prepare("SELECT doc FROM ingested_files").all().map(r => r.doc);
+  db.close();
+  assert.deepEqual(docs, ["good.txt"]);
+});
+
+test("update.js re-ingests files whose legacy basename key was shared", () => {
+  const kbDir = path.join(dir, "data", "dup");
+  fs.mkdirSync(path.join(kbDir, "a"), { recursive: true });
+  fs.mkdirSync(path.join(kbDir, "b"), { recursive: true });
+  fs.writeFileSync(path.join(kbDir, "a", "notes.txt"), "Alpha team meets on Mondays.\n");
+  fs.writeFileSync(path.join(kbDir, "b", "notes.txt"), "Beta team meets on Fridays.\n");
+  run("build.js", "dup");
+
+  // what a pre-relative-path build left behind: both files' chunks under one basename key
+  const dupPath = path.join(dir, "db", "dup.db");
+  let db = new Database(dupPath);
+  const hash = db.prepare("SELECT file_hash FROM ingested_files WHERE doc='b/notes.txt'").get().file_hash;
+  db.exec("UPDATE chunks SET doc='notes.txt'; DELETE FROM ingested_files; DELETE FROM docs; PRAGMA user_version = 0");
+  db.prepare("INSERT INTO ingested_files(doc, file_hash, updated_at) VALUES ('notes.txt', ?, datetime('now'))").run(hash);
+  db.close();
+
+  assert.match(run("update.js", "dup"), /shared by several files/);
+  db = new Database(dupPath, { readonly: true });
+  const rows = db.prepare("SELECT doc, text FROM chunks ORDER BY doc").all();
+  db.close();
+  assert.deepEqual(rows.map(r => r.doc), ["a/notes.txt", "b/notes.txt"]);
+  assert.match(rows[0].text, /Alpha/);
+  assert.match(rows[1].text, /Beta/);
+});
+
+test("update.js re-keys renamed files and purges deleted ones", () => {
+  const kbDir = path.join(dir, "data", "moves");
+  fs.mkdirSync(kbDir, { recursive: true });
+  fs.writeFileSync(path.join(kbDir, "old-name.txt"), "Gamma team meets on Tuesdays.\n");
+  fs.writeFileSync(path.join(kbDir, "gone.txt"), "Delta team was disbanded.\n");
+  fs.writeFileSync(path.join(kbDir, "kept.txt"), "Epsilon team meets on Thursdays.\n");
+  run("build.js", "moves");
+  const movesPath = path.join(dir, "db", "moves.db");
+  const idsOf = (db, doc) => db.prepare("SELECT id FROM chunks WHERE doc=? ORDER BY id").all(doc).map(r => r.id);
+  let db = new Database(movesPath, { readonly: true });
+  const oldIds = idsOf(db, "old-name.txt");
+  db.close();
+
+  fs.renameSync(path.join(kbDir, "old-name.txt"), path.join(kbDir, "new-name.txt"));
+  fs.rmSync(path.join(kbDir, "gone.txt"));
+  const out = run("update.js", "moves");
+  assert.match(out, /old-name\.txt → new-name\.txt: \(renamed\)/);
+  assert.match(out, /gone\.txt: \(removed\)/);
+
+  db = new Database(movesPath, { readonly: true });
+  const docsIn = (table) => db.prepare(`SELECT DISTINCT doc FROM ${table} ORDER BY doc`).all().map(r => r.doc);
+  try {
+    for (const table of ["chunks", "ingested_files", "docs"]) assert.deepEqual(docsIn(table), ["kept.txt", "new-name.txt"], table);
+    assert.deepEqual(idsOf(db, "new-name.txt"), oldIds); // the same chunks, not re-embedded ones
+  } finally {
+    db.close();
+  }
+});
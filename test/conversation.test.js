@@ -0,0 +1,74 @@
+// test/conversation.test.js — follow-up handling in lib/conversation.js (no KB needed)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const convo = require("../lib/conversation");
+
+const terms = (state) => state.contextTerms.map(c => c.term.toLowerCase());
+
+test("a standalone question drops the previous topic's context terms", () => {
+  const state = convo.initState();
+  convo.updateState(state, "When was Acme Corp founded and who started the company?");
+  assert.ok(terms(state).includes("acme"));
+  convo.updateState(state, "What is the average rainfall in Sydney during winter months?");
+  assert.ok(!terms(state).includes("acme"));
+  convo.updateState(state, "what about Melbourne?");
+  assert.ok(terms(state).includes("sydney") && terms(state).includes("melbourne"));
+  assert.match(convo.rewriteQuery("what about Melbourne?", state), /^what about Melbourne\? \(context:.*Sydney/);
+});
+
+test("context terms expire after CONTEXT_TURNS follow-ups", () => {
+  const state = convo.initState();
+  convo.updateState(state, "Explain the Acme Corp refund policy for enterprise customers please");
+  for (const q of ["and returns?", "also shipping?", "what about warranty?"]) convo.updateState(state, q);
+  assert.ok(!terms(state).includes("refund"));
+  assert.ok(terms(state).includes("warranty"));
+});
+
+test("the last objective is dropped by a topic switch and expires like context terms", () => {
+  const state = convo.initState();
+  convo.updateState(state, "Explain the Acme Corp refund policy for enterprise customers please");
+  assert.match(convo.rewriteQuery("and returns?", state), /Explain the Acme/);
+  convo.updateState(state, "Sydney office opening hours during public holidays this year");
+  assert.equal(state.lastObjective, undefined);
+  assert.doesNotMatch(convo.rewriteQuery("and parking?", state), /Explain|refund/);
+
+  convo.updateState(state, "Explain the Acme Corp refund policy for enterprise customers please");
+  for (const q of ["and returns?", "also shipping?"]) convo.updateState(state, q);
+  assert.ok(state.lastObjective);
+  convo.updateState(state, "and warranty?");
+  assert.doesNotMatch(convo.rewriteQuery("and invoices?", state), /Explain/);
+});
+
+test("LLM rewrite uses the model's standalone query and falls back to the rules", async () => {
+  const state = convo.initState();
+  convo.updateState(state, "What is the average rainfall in Sydney during winter months?");
+  state.messages.push({ role: "assistant", content: "About 130 mm." });
+  convo.updateState(state, "what about Melbourne?");
+
+  let prompt = "";
+  const good = { generate: async (p) => { prompt = p; return 'Query: "average winter rainfall in Melbourne"\n'; } };
+  assert.equal(await convo.rewriteQueryWithLLM("what about Melbourne?", state, good), "average winter rainfall in Melbourne");
+  assert.match(prompt, /User: What is the average rainfall in Sydney/);
+  assert.match(prompt, /Latest user message: what about Melbourne\?/);
+
+  const rules = convo.rewriteQuery("what about Melbourne?", state);
+  for (const bad of [{ generate: async () => { throw new Error("model down"); } }, { generate: async () => "  " }, null]) {
+    assert.equal(await convo.rewriteQueryWithLLM("what about Melbourne?", state, bad), rules);
+  }
+});
+
+test("answerTurn searches with the rewritten query", async () => {
+  const queries = [];
+  const retriever = {
+    search: async (q) => { queries.push(q); return [{ text: "Melbourne gets 50 mm.", score: 0.9, meta: { doc: "w.txt" } }]; },
+    generate: async (p) => (p.startsWith("Rewrite") ? "winter rainfall Melbourne" : "50 mm [1]")
+  };
+  const state = convo.initState();
+  await convo.answerTurn(state, "What is the average rainfall in Sydney during winter months?", retriever, null, { rewrite: "llm" });
+  const res = await convo.answerTurn(state, "what about Melbourne?", retriever, null, { rewrite: "llm" });
+  assert.equal(queries[0], "What is the average rainfall in Sydney during winter months?");
+  assert.equal(queries[1], "winter rainfall Melbourne");
+  assert.equal(res.query, "winter rainfall Melbourne");
+  assert.equal(res.text, "50 mm [1]");
+});
@@ -0,0 +1,31 @@
+// test/engine.test.js — MODE=hybrid routing (few-shot LLM first, RAG fallback) with the mock provider
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { makeWorkspace, removeWorkspace } = require("./helpers");
+
+const engine = require("../lib/engine");
+const retriever = require("../lib/retriever");
+
+let dir;
+const cwd = process.cwd();
+before(async () => { dir = makeWorkspace(); process.chdir(dir); await engine.init(); });
+after(() => { retriever.close(); process.chdir(cwd); removeWorkspace(dir); });
+
+test("engine runs in hybrid mode and lists the built KB", async () => {
+  assert.equal(engine.MODE, "hybrid");
+  assert.deepEqual(await engine.discoverDbNames(), ["example"]);
+});
+
+test("questions covered by few-shot examples are answered by the LLM", async () => {
+  const res = await engine.answerOnce("What's the flagship product?");
+  assert.equal(res.mode, "llm");
+  assert.ok(res.text);
+});
+
+test("other questions fall back to RAG with KB sources", async () => {
+  const res = await engine.answerOnce("How many employees does Acme Corp have?");
+  assert.equal(res.mode, "rag");
+  assert.equal(res.fallback, "rag");
+  assert.match(res.text, /Acme Corp/);
+  assert.ok(res.hits.some(h => h.source === "example" && h.doc === "business.txt"));
+});
@@ -0,0 +1,43 @@
+// test/filter.test.js — metadata filter expressions (lib/filter.js)
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { compileFilter } = require("../lib/filter");
+
+const rec = {
+  path: "hr/leave.md", title: "Leave Policy", type: "md", mtime: "2024-05-01T10:00:00.000Z",
+  tags: ["hr", "policy"], section: "Leave > Carry-over", page_start: 3, page_end: 4, owner: "People Team"
+};
+const matches = (expr) => compileFilter(expr)(rec);
+
+test("field:value matches case-insensitively, with wildcards and list fields", () => {
+  assert.ok(matches("type:MD"));
+  assert.ok(matches("tags:hr"));
+  assert.ok(matches("path:hr/*"));
+  assert.ok(matches('title:"leave policy"'));
+  assert.ok(matches("owner:people*"));
+  assert.ok(!matches("tags:finance"));
+  assert.ok(!matches("author:ann"), "missing fields never match");
+  assert.ok(matches("author!=ann"));
+});
+
+test("comparisons handle dates, numbers and page ranges", () => {
+  assert.ok(matches("mtime>=2024-01-01"));
+  assert.ok(!matches("mtime<2024"));
+  assert.ok(matches("page:4") && !matches("page:5"));
+  assert.ok(matches("page<=3") && !matches("page>4"));
+});
+
+test("AND / OR / NOT / parentheses, with AND implied between terms", () => {
+  assert.ok(matches("(type:pdf OR type:md) tags:policy"));
+  assert.ok(!matches("type:pdf OR type:html"));
+  assert.ok(matches("NOT path:drafts/* AND tags:hr"));
+  assert.ok(!matches("tags:hr and not type:md"));
+  assert.equal(compileFilter("  "), null);
+});
+
+test("malformed expressions throw BAD_FILTER", () => {
+  for (const bad of ["tags:", "(type:md", "type:md OR", "hello", "page:abc", ")"]) {
+    assert.throws(() => compileFilter(bad), (e) => e.code === "BAD_FILTER", bad);
+  }
+});
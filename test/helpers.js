@@ -0,0 +1,62 @@
+// test/helpers.js — shared setup: offline mock provider + a scratch workspace
+// (copies of data/example and llm/example, with db/example.db built by build.js)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const { execFileSync, spawn } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "..");
+
+// no Ollama, no watcher, deterministic models
+const MOCK_ENV = { PROVIDER: "mock", WATCH: "0", MODE: "hybrid" };
+Object.assign(process.env, MOCK_ENV);
+
+function makeWorkspace() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "localkb-test-"));
+  fs.cpSync(path.join(ROOT, "data", "example"), path.join(dir, "data", "example"), { recursive: true });
+  fs.cpSync(path.join(ROOT, "llm", "example"), path.join(dir, "llm", "example"), { recursive: true });
+  fs.mkdirSync(path.join(dir, "db"));
+  execFileSync(process.execPath, [path.join(ROOT, "build.js"), "example"], {
+    cwd: dir,
+    env: { ...process.env, ...MOCK_ENV },
+    stdio: "ignore"
+  });
+  return dir;
+}
+
+function removeWorkspace(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const srv = net.createServer().listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// spawns server.js in `dir` on a free port → { server, base } once it is listening
+async function startServer(dir, env = {}) {
+  const port = await freePort();
+  const server = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    cwd: dir,
+    env: { ...process.env, ...MOCK_ENV, PORT: String(port), ...env },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  await new Promise((resolve, reject) => {
+    let out = "";
+    server.stdout.on("data", (d) => { out += d; if (out.includes("API listening")) resolve(); });
+    server.on("exit", (code) => reject(new Error(`server exited (${code}): ${out}`)));
+  });
+  return { server, base: `http://127.0.0.1:${port}` };
+}
+
+function stopServer(server) {
+  server.removeAllListeners("exit");
+  server.kill();
+}
+
+module.exports = { ROOT, MOCK_ENV, makeWorkspace, removeWorkspace, startServer, stopServer };
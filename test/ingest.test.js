@@ -0,0 +1,244 @@
+// test/ingest.test.js — loader registry + shared chunking pipeline (lib/loaders.js, lib/ingest.js)
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("./helpers");
+
+const { registerLoader, getLoader, supportedExtensions, loadDoc } = require("../lib/loaders");
+const { packBlocks, packPages, parseMarkdown, packMarkdown } = require("../lib/chunking");
+const { listDocs, chunkFile, docKey } = require("../lib/ingest");
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "localkb-ingest-"));
+  fs.mkdirSync(path.join(dir, "sub"));
+  fs.writeFileSync(path.join(dir, "a.txt"), "Alpha paragraph.\n\nBeta paragraph.");
+  fs.writeFileSync(path.join(dir, "sub", "b.MD"), "# Title\n\nSome markdown.");
+  fs.writeFileSync(path.join(dir, "c.rev"), "desserts");
+  fs.writeFileSync(path.join(dir, "empty.txt"), "   \n");
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("built-in loaders cover txt/md/pdf, case-insensitively", async () => {
+  for (const ext of [".txt", ".md", ".pdf"]) assert.ok(supportedExtensions().includes(ext));
+  assert.ok(getLoader("X.PDF"));
+  const doc = await loadDoc(path.join(dir, "sub", "b.MD"));
+  assert.equal(doc.meta.type, "md");
+  assert.match(doc.text, /Some markdown/);
+  assert.equal(await loadDoc(path.join(dir, "c.rev")), null);
+});
+
+test("listDocs only returns files with a loader; registering one adds the format", async () => {
+  const rel = () => listDocs(dir).map(f => docKey(dir, f));
+  assert.deepEqual(rel(), ["a.txt", "empty.txt", "sub/b.MD"]);
+
+  registerLoader("rev", async (file) => ({
+    text: fs.readFileSync(file, "utf8").split("").reverse().join(""),
+    meta: { reversed: true }
+  }), { type: "reversed" });
+  assert.deepEqual(rel(), ["a.txt", "c.rev", "empty.txt", "sub/b.MD"]);
+  assert.deepEqual(await loadDoc(path.join(dir, "c.rev")), { text: "stressed", meta: { type: "reversed", reversed: true }, chunker: "blocks" });
+});
+
+test("modules listed in LOADERS register their formats at load time", () => {
+  const { execFileSync } = require("child_process");
+  const plugin = path.join(dir, "my-loaders.js");
+  fs.writeFileSync(plugin, `require(${JSON.stringify(path.join(__dirname, "..", "lib", "loaders"))})` +
+    `.registerLoader(".rst", async () => ({ text: "rst" }));`);
+  const out = execFileSync(process.execPath, ["-e",
+    "console.log(require('./lib/loaders').supportedExtensions().join(' '))"
+  ], { cwd: path.join(__dirname, ".."), env: { ...process.env, LOADERS: plugin }, encoding: "utf8" });
+  assert.ok(out.trim().split(" ").includes(".rst"));
+});
+
+test("chunkFile packs blocks and skips empty docs", async () => {
+  assert.deepEqual((await chunkFile(path.join(dir, "a.txt"))).parts, [{ text: "Alpha paragraph.\n\nBeta paragraph.", meta: {} }]);
+  assert.deepEqual((await chunkFile(path.join(dir, "empty.txt"))).parts, []);
+});
+
+test("packBlocks carries the tail of the previous chunk as overlap", () => {
+  const parts = packBlocks(["alpha beta gamma delta", "epsilon zeta eta theta"], 8, 4);
+  assert.equal(parts.length, 2);
+  assert.equal(parts[1], "gamma delta\n\nepsilon zeta eta theta");
+});
+
+test("token estimates drive sizing and splits never cut a word", () => {
+  const { countTokens, splitTokens, maxTokensFor } = require("../lib/tokens");
+  assert.equal(countTokens("The quick brown fox."), 7);
+  assert.equal(countTokens("東京は日本の首都です。"), 11);
+  const words = "Refunds are issued within fourteen business days of the request".split(" ");
+  for (const piece of packBlocks([words.join(" ")], 4, 0)) {
+    for (const w of piece.split(" ")) assert.ok(words.includes(w), `split inside a word: ${w}`);
+    assert.ok(countTokens(piece) <= 4);
+  }
+  assert.deepEqual(splitTokens("東京は日本の首都です", 4), ["東京は日", "本の首都", "です"]);
+  assert.equal(maxTokensFor("mxbai-embed-large:latest"), 512);
+  assert.equal(maxTokensFor("nomic-embed-text"), 2048); // 8192 trained, but served with 2048
+});
+
+test("parseMarkdown tracks the heading path and keeps code, tables and lists whole", () => {
+  const md = "---\ntitle: Guide\n---\nIntro text.\n\n# Setup\n\n## Linux\n\n```sh\nmake\n\nmake install\n```\n\n"
+    + "| OS | Pkg |\n|----|-----|\n| Debian | apt |\n\n- one\n- two\n\nAPI\n===\n\nCalls.";
+  assert.deepEqual(parseMarkdown(md), [
+    { text: "Intro text.", section: [], kind: "text" },
+    { text: "```sh\nmake\n\nmake install\n```", section: ["Setup", "Linux"], kind: "code" },
+    { text: "| OS | Pkg |\n|----|-----|\n| Debian | apt |", section: ["Setup", "Linux"], kind: "table" },
+    { text: "- one\n- two", section: ["Setup", "Linux"], kind: "list" },
+    { text: "Calls.", section: ["API"], kind: "text" }
+  ]);
+});
+
+test("packMarkdown prefixes the breadcrumb and never packs across headings", async () => {
+  const parts = packMarkdown(parseMarkdown("# A\n\nalpha\n\n## B\n\nbeta\n\n# C\n\ngamma"), 500, 50);
+  assert.deepEqual(parts, [
+    { text: "A\n\nalpha", section: "A" },
+    { text: "A > B\n\nbeta", section: "A > B" },
+    { text: "C\n\ngamma", section: "C" }
+  ]);
+  // oversized code blocks split on lines, each piece re-fenced
+  const code = "```\n" + Array.from({ length: 40 }, (_, i) => `line ${i}`).join("\n") + "\n```";
+  const split = packMarkdown(parseMarkdown(`# X\n\n${code}`), 30, 0);
+  assert.ok(split.length > 1);
+  for (const p of split) assert.match(p.text, /^X\n\n```\n[\s\S]*\n```$/);
+
+  assert.deepEqual((await chunkFile(path.join(dir, "sub", "b.MD"))).parts,
+    [{ text: "Title\n\nSome markdown.", meta: { section: "Title" } }]);
+});
+
+// ---------- structured formats (lib/formats.js) ----------
+const zlib = require("zlib");
+const { htmlToText, docxToText, cleanPdfPages, parseCsv, csvToText, jsonToText } = require("../lib/formats");
+
+// smallest valid zip (deflated entries, CRCs left at 0 — the reader doesn't check them)
+function makeZip(files) {
+  const locals = [], centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const data = zlib.deflateRawSync(Buffer.from(content));
+    const nameBuf = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += 30 + nameBuf.length + data.length;
+  }
+  const cdir = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(cdir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cdir, eocd]);
+}
+
+test("htmlToText keeps headings and content, drops boilerplate", () => {
+  const { text, title } = htmlToText(`<!doctype html><html><head><title>Leave &amp; Holidays</title>
+    <style>p{color:red}</style></head><body>
+    <nav><a href="/">Home</a> | <a href="/wiki">Wiki</a></nav>
+    <header>Intranet banner</header>
+    <main><h1>Leave policy</h1><p>Staff get <b>25 days</b>&nbsp;per year.</p>
+      <h2>Carry-over</h2><ul><li>Up to 5 days</li><li>Until March</li></ul>
+      <script>track()</script></main>
+    <footer>© Acme</footer></body></html>`);
+  assert.equal(title, "Leave & Holidays");
+  assert.equal(text, "# Leave policy\n\nStaff get 25 days per year.\n\n## Carry-over\n\n- Up to 5 days\n- Until March");
+});
+
+test("htmlToText keeps an article's own header and footer", () => {
+  const { text } = htmlToText(`<body><header>Intranet banner</header><nav>Home | Wiki</nav>
+    <article><header><h1>Expense claims</h1><p>Finance team</p></header>
+      <p>Submit receipts within 30 days.</p>
+      <aside>Tip: photograph receipts.</aside><footer>Updated May 2024</footer></article>
+    <footer>© Acme</footer></body>`);
+  assert.equal(text, "# Expense claims\n\nFinance team\n\nSubmit receipts within 30 days.\n\nTip: photograph receipts.\n\nUpdated May 2024");
+});
+
+test("docxToText extracts paragraphs, headings, lists and tables", () => {
+  const p = (text, style) =>
+    `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ""}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+  const xml = `<?xml version="1.0"?><w:document><w:body>
+    ${p("Expenses", "Heading1")}${p("Receipts are required &amp; kept 7 years.")}<w:p/>
+    <w:p><w:pPr><w:numPr><w:ilvl w:val="0"/></w:numPr></w:pPr><w:r><w:t xml:space="preserve">Travel </w:t></w:r><w:r><w:t>booked early</w:t></w:r></w:p>
+    <w:tbl><w:tr><w:tc>${p("Item")}</w:tc><w:tc>${p("Limit")}</w:tc></w:tr><w:tr><w:tc>${p("Hotel")}</w:tc><w:tc>${p("150 EUR")}</w:tc></w:tr></w:tbl>
+  </w:body></w:document>`;
+  const buf = makeZip({
+    "[Content_Types].xml": "<Types/>",
+    "word/document.xml": xml,
+    "docProps/core.xml": "<cp:coreProperties><dc:title>Expense Policy</dc:title></cp:coreProperties>"
+  });
+  const { text, title } = docxToText(buf);
+  assert.equal(title, "Expense Policy");
+  assert.equal(text, "# Expenses\n\nReceipts are required & kept 7 years.\n\n- Travel booked early\n\nItem | Limit\nHotel | 150 EUR");
+});
+
+test("cleanPdfPages drops running headers, footers and page numbers", () => {
+  const page = (n, body) => `Acme Handbook 2024\n${body}\nConfidential — Page ${n} of 3`;
+  assert.deepEqual(cleanPdfPages([page(1, "Welcome aboard."), page(2, "Leave: 25 days.\n\n- 2 -"), page(3, "Acme Handbook 2024 ends here.")]), [
+    "Welcome aboard.",
+    "Leave: 25 days.",
+    "Acme Handbook 2024 ends here."
+  ]);
+  // a single page has nothing to compare against; only bare page numbers go
+  assert.deepEqual(cleanPdfPages(["Title line\nBody.\n7"]), ["Title line\nBody."]);
+});
+
+test("packPages records the page range of every chunk", () => {
+  const chunks = packPages(["First para.\n\nSecond para.", "Carries on.", "", "x".repeat(70)], 12, 0);
+  assert.deepEqual(chunks, [
+    { text: "First para.\n\nSecond para.\n\nCarries on.", pages: [1, 2] },
+    { text: "x".repeat(48), pages: [4, 4] },
+    { text: "x".repeat(22), pages: [4, 4] }
+  ]);
+  const { citeLocation } = require("../lib/conversation");
+  assert.equal(citeLocation({ page_start: 1, page_end: 2 }), "pp. 1–2");
+  assert.equal(citeLocation({ section: "Setup", page_start: 3, page_end: 3 }), "Setup, p. 3");
+});
+
+test("CSV rows become blocks with their column names", () => {
+  assert.deepEqual(parseCsv('a;b\n"x; ""y""";2\r\n'), [["a", "b"], ['x; "y"', "2"]]);
+  const { text, rows, columns } = csvToText('Name,Role,Office\nAlice,"Engineer, Platform",Berlin\n\nBob,Sales,\n');
+  assert.equal(rows, 2);
+  assert.deepEqual(columns, ["Name", "Role", "Office"]);
+  assert.equal(text, "Name: Alice; Role: Engineer, Platform; Office: Berlin\n\nName: Bob; Role: Sales");
+});
+
+test("JSON records become blocks with their (dotted) keys", () => {
+  const { text, records } = jsonToText(JSON.stringify({
+    company: "Acme",
+    offices: [{ city: "Berlin", staff: 40, tags: ["hq", "eu"] }, { city: "Austin", address: { zip: "78701" } }]
+  }));
+  assert.equal(records, 3);
+  assert.equal(text, "company: Acme\n\noffices: city: Berlin; staff: 40; tags: hq, eu\n\noffices: city: Austin; address.zip: 78701");
+  assert.equal(jsonToText('[{"q":"a"}, 3]').text, "q: a\n\nvalue: 3");
+});
+
+test("chunking keeps rows whose first column starts with Q as plain text", async () => {
+  const file = path.join(dir, "stock.csv");
+  fs.writeFileSync(file, "Quantity,Item\n5,Widgets\n");
+  assert.deepEqual((await chunkFile(file)).parts, [{ text: "Quantity: 5; Item: Widgets", meta: {} }]);
+});
+
+test("legacy character sizes convert with the estimator's own chars-per-token ratio", () => {
+  const { execFileSync } = require("child_process");
+  const { CHARS_PER_TOKEN } = require("../lib/tokens");
+  const env = { ...process.env, CHUNK_SIZE: "1000", OVERLAP: "100" };
+  delete env.CHUNK_TOKENS; delete env.OVERLAP_TOKENS;
+  const out = execFileSync(process.execPath, ["-e",
+    "const i = require('./lib/ingest'); console.log(i.CHUNK_TOKENS, i.OVERLAP_TOKENS)"
+  ], { cwd: path.join(__dirname, ".."), env, encoding: "utf8" });
+  assert.equal(out.trim(), `${1000 / CHARS_PER_TOKEN} ${100 / CHARS_PER_TOKEN}`);
+});
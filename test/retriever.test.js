@@ -0,0 +1,150 @@
+// test/retriever.test.js — RAG retrieval against data/example built with the mock provider
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const Database = require("better-sqlite3");
+const { ROOT, MOCK_ENV, makeWorkspace, removeWorkspace } = require("./helpers");
+
+const retriever = require("../lib/retriever");
+
+let dir;
+const cwd = process.cwd();
+before(() => { dir = makeWorkspace(); process.chdir(dir); });
+after(() => { retriever.close(); process.chdir(cwd); removeWorkspace(dir); });
+
+test("buildFtsQuery quotes terms and neutralizes FTS5 syntax", () => {
+  const q = retriever.buildFtsQuery('When was "Acme" founded? (context: AND NOT e-mail)');
+  assert.equal(q, '"acme founded mail" OR "acme"* OR "founded"* OR "mail"*');
+  assert.equal(retriever.buildFtsQuery("what is the"), null);
+});
+
+test("discoverDbNames finds the built KB", () => {
+  assert.deepEqual(retriever.discoverDbNames(), ["example"]);
+});
+
+test("search ranks the matching document first, with citation metadata", async () => {
+  const hits = await retriever.search("When was Acme Corp founded?", { topK: 3 });
+  assert.ok(hits.length > 0);
+  assert.equal(hits[0].doc, "business.txt");
+  assert.deepEqual(hits[0].meta, { source: "example", doc: "business.txt", chunk: hits[0].chunk_id });
+  assert.equal(typeof hits[0].score, "number");
+  assert.ok(!("emb" in hits[0]));
+});
+
+test("search honors kbs/exclude scoping and minScore", async () => {
+  assert.deepEqual(await retriever.search("Acme Corp", { exclude: ["example"] }), []);
+  assert.deepEqual(await retriever.search("Acme Corp", { kbs: ["missing"] }), []);
+  const hits = await retriever.search("Acme Corp", { minScore: 0.3 });
+  assert.ok(hits.every(h => h.score >= 0.3));
+});
+
+test("search survives punctuation and operators in the question", async () => {
+  for (const q of ['"quote', "AND OR NOT", "what-is: (the) \"rain\"*"]) {
+    assert.ok(Array.isArray(await retriever.search(q)));
+  }
+});
+
+test("answerOnce answers from the KB and streams the same text", async () => {
+  const tokens = [];
+  const res = await retriever.answerOnce("When was Acme Corp founded?", { onToken: (t) => tokens.push(t) });
+  assert.equal(res.mode, "rag");
+  assert.match(res.text, /1999/);
+  assert.equal(tokens.join("").trim(), res.text);
+  assert.equal(res.hits[0].source, "example");
+});
+
+test("answerOnce stops generating once its signal aborts", async () => {
+  await assert.rejects(
+    retriever.answerOnce("When was Acme Corp founded?", { onToken: () => {}, signal: AbortSignal.abort() }),
+    { name: "AbortError" }
+  );
+  const llm = require("../lib/llmRunner");
+  await assert.rejects(llm.answerOnceLLM("Who founded Acme Corp?", new Map(), { signal: AbortSignal.abort() }), { name: "AbortError" });
+});
+
+test("answerOnce declines when nothing is relevant", async () => {
+  const res = await retriever.answerOnce("zebra quantum marmalade");
+  assert.equal(res.hits.length, 0);
+  assert.match(res.text, /Not enough info/);
+});
+
+test("answerOnce says when kbs/exclude leave nothing to search", async () => {
+  const res = await retriever.answerOnce("When was Acme Corp founded?", { exclude: ["example"] });
+  assert.equal(res.mode, "rag");
+  assert.deepEqual(res.hits, []);
+  assert.match(res.text, /No knowledge base left to search/);
+});
+
+test("search keeps working across a rebuild swapped in underneath it", async () => {
+  const before = await retriever.search("When was Acme Corp founded?", { topK: 1 });
+  execFileSync(process.execPath, [path.join(ROOT, "build.js"), "example"], {
+    cwd: dir, env: { ...process.env, ...MOCK_ENV }, stdio: "ignore"
+  });
+  const after = await retriever.search("When was Acme Corp founded?", { topK: 1 });
+  assert.equal(after[0].doc, before[0].doc);
+  assert.equal(after[0].text, before[0].text);
+});
+
+test("search refuses a KB embedded with a different model", async () => {
+  const setModel = (m) => {
+    const db = new Database(path.join(dir, "db", "example.db"));
+    db.prepare("UPDATE kb_meta SET value=? WHERE key='emb_model'").run(m);
+    db.close();
+  };
+  const { EMB_MODEL } = require("../lib/models");
+  setModel("some-other-embedder");
+  try {
+    await assert.rejects(retriever.search("Acme Corp"), (e) => e.code === "KB_MISMATCH" && /some-other-embedder/.test(e.message));
+  } finally {
+    setModel(EMB_MODEL);
+  }
+  assert.ok((await retriever.search("Acme Corp")).length > 0);
+});
+
+test("search only ranks chunks matching the metadata filter", async () => {
+  const all = await retriever.search("When was Acme Corp founded?", { topK: 10 });
+  assert.ok(new Set(all.map(h => h.doc)).size > 1);
+  const hits = await retriever.search("When was Acme Corp founded?", { topK: 10, filter: "path:h*.txt" });
+  assert.ok(hits.length > 0);
+  assert.ok(hits.every(h => h.doc === "history.txt"));
+  assert.deepEqual(await retriever.search("Acme Corp", { filter: "type:pdf" }), []);
+  assert.deepEqual(await retriever.search("Acme Corp", { filter: "NOT type:pdf" }).then(h => h.length > 0), true);
+  await assert.rejects(retriever.search("Acme Corp", { filter: "tags:" }), (e) => e.code === "BAD_FILTER");
+});
+
+test("hits from Markdown docs cite their section", async () => {
+  const fs = require("fs");
+  fs.writeFileSync(path.join(dir, "data", "example", "handbook.md"),
+    "# Handbook\n\n## Remote work\n\nEmployees may work from home on Fridays with manager approval.\n");
+  execFileSync(process.execPath, [path.join(ROOT, "update.js"), "example"], {
+    cwd: dir, env: { ...process.env, ...MOCK_ENV }, stdio: "ignore"
+  });
+  const [hit] = await retriever.search("work from home on Fridays", { topK: 1 });
+  assert.equal(hit.doc, "handbook.md");
+  assert.equal(hit.meta.section, "Handbook > Remote work");
+  assert.match(hit.text, /^Handbook > Remote work\n\n/);
+  assert.equal(hit.meta.title, "Handbook");
+});
+
+test("front matter and sidecar metadata can be filtered on", async () => {
+  const fs = require("fs");
+  const data = path.join(dir, "data", "example");
+  fs.writeFileSync(path.join(data, "leave.md"),
+    "---\ntitle: Leave policy\ntags: [HR, policy]\nowner: People Team\n---\nStaff get twenty-five vacation days per year.\n");
+  fs.writeFileSync(path.join(data, "weather.txt.meta.json"), JSON.stringify({ tags: ["ops"], region: "north" }));
+  execFileSync(process.execPath, [path.join(ROOT, "update.js"), "example"], {
+    cwd: dir, env: { ...process.env, ...MOCK_ENV }, stdio: "ignore"
+  });
+  const q = "How many vacation days do staff get?";
+  const [hit] = await retriever.search(q, { topK: 1, filter: "tags:hr owner:\"people team\"" });
+  assert.equal(hit.doc, "leave.md");
+  assert.equal(hit.meta.title, "Leave policy");
+  const ops = await retriever.search(q, { filter: "tags:ops region:north" });
+  assert.ok(ops.length > 0 && ops.every(h => h.doc === "weather.txt"));
+  assert.deepEqual(await retriever.search(q, { filter: "mtime<2000-01-01" }), []);
+  const db = new Database(path.join(dir, "db", "example.db"), { readonly: true });
+  const rows = db.prepare("SELECT doc FROM docs ORDER BY doc").all().map(r => r.doc);
+  db.close();
+  assert.deepEqual(rows, ["business.txt", "handbook.md", "history.txt", "leave.md", "technology.txt", "weather.txt"]);
+});
@@ -0,0 +1,187 @@
+// test/server.test.js — HTTP API end to end: spawns server.js on a free port with the mock provider
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { makeWorkspace, removeWorkspace, startServer, stopServer } = require("./helpers");
+
+let dir, server, base;
+
+function post(route, body) {
+  return fetch(`${base}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+}
+
+before(async () => {
+  dir = makeWorkspace();
+  // streamed mock tokens are spaced out so a client can leave mid-answer
+  ({ server, base } = await startServer(dir, { MOCK_TOKEN_DELAY_MS: "20" }));
+});
+
+after(() => {
+  stopServer(server);
+  removeWorkspace(dir);
+});
+
+test("POST /query returns a cited RAG answer with sources", async () => {
+  const res = await post("/query", { question: "When was Acme Corp founded?" });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.status, "success");
+  assert.equal(body.mode, "rag");
+  assert.match(body.answer, /\[1\]/);
+  assert.equal(body.sources[0].ref, 1);
+  assert.equal(body.sources[0].db, "example");
+  assert.equal(body.sources[0].doc, "business.txt");
+});
+
+test("POST /query validates the question and KB names", async () => {
+  let res = await post("/query", {});
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { status: "error", error: "Missing 'question'." });
+
+  res = await post("/query", { question: "Acme?", kbs: ["nope"] });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /Unknown KB/);
+
+  res = await post("/query", { question: "Acme?", exclude_kbs: "exampel" });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /Unknown KB\(s\) in 'exclude_kbs': exampel/);
+
+  res = await post("/query", { question: "Acme?", raw: "false" });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { status: "error", error: "'raw' must be true or false." });
+
+  res = await post("/query", { question: "Acme?", filter: "type:pdf AND (" });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /^Invalid filter/);
+});
+
+test("POST /query applies the metadata filter before retrieval", async () => {
+  const res = await post("/query", { question: "When was Acme Corp founded?", filter: "path:history.txt" });
+  const body = await res.json();
+  assert.equal(body.status, "success");
+  assert.ok(body.sources.every(s => s.doc === "history.txt"));
+});
+
+test("POST /query falls back to the LLM when nothing relevant is found", async () => {
+  const res = await post("/query", { question: "zebra quantum marmalade" });
+  const body = await res.json();
+  assert.equal(body.mode, "llm_fallback");
+  assert.deepEqual(body.sources, []);
+});
+
+test("POST /query/stream emits token events then a done event", async () => {
+  const res = await post("/query/stream", { question: "When was Acme Corp founded?" });
+  assert.match(res.headers.get("content-type"), /text\/event-stream/);
+  const events = (await res.text()).trim().split("\n\n").map((block) => {
+    const [ev, data] = block.split("\n");
+    return { event: ev.replace("event: ", ""), data: JSON.parse(data.replace("data: ", "")) };
+  });
+  const done = events.pop();
+  assert.equal(done.event, "done");
+  assert.ok(events.length > 0 && events.every(e => e.event === "token"));
+  assert.equal(events.map(e => e.data.token).join("").trim(), done.data.answer);
+  assert.equal(done.data.mode, "rag");
+  assert.equal(done.data.sources[0].doc, "business.txt");
+});
+
+test("POST /query/stream stops generating when the client disconnects", async () => {
+  const { session_id } = await (await post("/sessions", {})).json();
+  const ac = new AbortController();
+  const res = await fetch(`${base}/query/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ question: "When was Acme Corp founded?", session_id }),
+    signal: ac.signal
+  });
+  await res.body.getReader().read(); // first token
+  ac.abort();
+  await new Promise((r) => setTimeout(r, 500));
+
+  // the abandoned turn never finished, so nothing was saved to the session
+  const body = await (await fetch(`${base}/sessions/${session_id}`)).json();
+  assert.deepEqual(body.messages, []);
+});
+
+test("sessions: server-issued ids keep history until deleted", async () => {
+  let res = await post("/sessions", {});
+  assert.equal(res.status, 201);
+  const { session_id, expires_at } = await res.json();
+  assert.ok(session_id && expires_at);
+
+  await post("/query", { question: "When was Acme Corp founded?", session_id });
+  res = await fetch(`${base}/sessions/${session_id}`);
+  const body = await res.json();
+  assert.equal(body.status, "success");
+  assert.deepEqual(body.messages.map(m => m.role), ["user", "assistant"]);
+
+  res = await fetch(`${base}/sessions/${session_id}`, { method: "DELETE" });
+  assert.deepEqual(await res.json(), { status: "success", deleted: true });
+  res = await fetch(`${base}/sessions/${session_id}`);
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).status, "error");
+
+  // a deleted session id starts over empty, like any client-chosen id
+  res = await post("/query", { question: "When was Acme Corp founded?", session_id });
+  assert.equal(res.status, 200);
+  res = await fetch(`${base}/sessions/${session_id}`);
+  assert.equal((await res.json()).messages.length, 2);
+
+  await post("/query", { question: "When was Acme Corp founded?", session_id: "my-client-1" });
+  await post("/query", { question: "Who founded it?", session_id: "my-client-1" });
+  res = await fetch(`${base}/sessions/my-client-1`);
+  assert.equal((await res.json()).messages.length, 4);
+
+  res = await post("/query", { question: "Acme?", session_id: "not a valid id" });
+  assert.equal(res.status, 400);
+});
+
+test("GET /v1/models lists each KB in both modes", async () => {
+  const body = await (await fetch(`${base}/v1/models`)).json();
+  assert.equal(body.object, "list");
+  assert.deepEqual(body.data.map(m => m.id), ["localkb", "localkb:rag", "localkb/example", "localkb/example:rag"]);
+});
+
+test("POST /v1/chat/completions answers the last user message with cited sources", async () => {
+  const res = await post("/v1/chat/completions", {
+    model: "localkb/example",
+    messages: [
+      { role: "system", content: "You are helpful." },
+      { role: "user", content: "When was Acme Corp founded?" }
+    ]
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.object, "chat.completion");
+  assert.equal(body.model, "localkb/example");
+  assert.equal(body.choices[0].message.role, "assistant");
+  assert.match(body.choices[0].message.content, /\[1\]/);
+  assert.equal(body.sources[0].doc, "business.txt");
+  assert.equal(body.localkb_mode, "rag");
+
+  let bad = await post("/v1/chat/completions", { model: "gpt-4o", messages: [{ role: "user", content: "hi" }] });
+  assert.equal(bad.status, 404);
+  assert.equal((await bad.json()).error.code, "model_not_found");
+  bad = await post("/v1/chat/completions", { messages: [{ role: "assistant", content: "hi" }] });
+  assert.equal(bad.status, 400);
+  assert.match((await bad.json()).error.message, /last message/);
+});
+
+test("POST /v1/chat/completions streams chunks and ends with [DONE]", async () => {
+  const res = await post("/v1/chat/completions", {
+    model: "localkb:rag", stream: true,
+    messages: [{ role: "user", content: "When was Acme Corp founded?" }]
+  });
+  assert.match(res.headers.get("content-type"), /text\/event-stream/);
+  const lines = (await res.text()).trim().split("\n\n").map(l => l.replace(/^data: /, ""));
+  assert.equal(lines.pop(), "[DONE]");
+  const chunks = lines.map(l => JSON.parse(l));
+  assert.ok(chunks.every(c => c.object === "chat.completion.chunk" && c.id === chunks[0].id));
+  assert.equal(chunks[0].choices[0].delta.role, "assistant");
+  const last = chunks.pop();
+  assert.equal(last.choices[0].finish_reason, "stop");
+  assert.equal(last.sources[0].doc, "business.txt");
+  assert.match(chunks.map(c => c.choices[0].delta.content).join(""), /\[1\]/);
+});
@@ -0,0 +1,63 @@
+// test/sessions.test.js — SQLite-backed conversation sessions: TTL expiry and the message cap
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSessionStore, isValidSessionId } = require("../lib/sessions");
+
+let dir, clock, store;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "localkb-sessions-"));
+  clock = Date.parse("2025-01-01T00:00:00Z");
+  store = createSessionStore({ file: path.join(dir, "sessions.db"), ttlMs: 60_000, maxMessages: 4, now: () => clock });
+});
+
+after(() => {
+  store.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("sessions persist state, keep the last messages and slide their TTL", () => {
+  const s = store.create();
+  assert.ok(isValidSessionId(s.id));
+  assert.deepEqual(s.state.messages, []);
+  assert.equal(s.expires_at, "2025-01-01T00:01:00.000Z");
+
+  const messages = Array.from({ length: 6 }, (_, i) => ({ role: i % 2 ? "assistant" : "user", content: `m${i}` }));
+  clock += 30_000;
+  store.save(s.id, { ...s.state, messages });
+  const got = store.get(s.id);
+  assert.deepEqual(got.state.messages.map(m => m.content), ["m2", "m3", "m4", "m5"]);
+  assert.equal(got.created_at, "2025-01-01T00:00:00.000Z");
+  assert.equal(got.expires_at, "2025-01-01T00:01:30.000Z");
+});
+
+test("expired sessions are gone, and removed sessions report it", () => {
+  const a = store.create();
+  const b = store.create();
+  assert.equal(store.remove(b.id), true);
+  assert.equal(store.remove(b.id), false);
+
+  clock += 59_999;
+  assert.equal(store.purgeExpired(), 0);
+  assert.ok(store.get(a.id));
+  clock += 1; // exactly the TTL since a's last save: expired for get() and purgeExpired() alike
+  assert.equal(store.get(a.id), null);
+  assert.equal(store.purgeExpired(), 1); // the first test's session, saved at the same moment
+  store.create();
+  assert.equal(store.purgeExpired(), 0);
+  assert.equal(isValidSessionId("has space"), false);
+});
+
+test("open() starts client-chosen ids but never takes over another owner's", () => {
+  const mine = store.open("client-1", "alice");
+  assert.deepEqual(mine.state.messages, []);
+  store.save("client-1", { ...mine.state, messages: [{ role: "user", content: "hi" }] }, "alice");
+  assert.equal(store.open("client-1", "alice").state.messages.length, 1);
+  assert.equal(store.open("client-1", "bob"), null);
+
+  clock += 60_000; // once expired, the id is free for anyone
+  assert.deepEqual(store.open("client-1", "bob").state.messages, []);
+});
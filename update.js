@@ -1,119 +1,173 @@
 // update.js — Update RAG SQLite DB(s) from data/<kb>/; ensures Ollama+embed model
+// Usage: node update.js [kb] [--reembed]
+//   A DB embedded with a different EMB_MODEL is refused; --reembed (or answering "y" at the
+//   prompt) re-embeds its chunks in place with the current model first.
 const fs = require("fs");
+const readline = require("readline");
 const path = require("path");
-const glob = require("glob");
-const pdfParse = require("pdf-parse");
-const crypto = require("crypto");
 const Database = require("better-sqlite3");
-const { Ollama } = require("ollama");
 require("dotenv").config();
 
-const { ensureModels, OLLAMA_HOST } = require("./lib/models");
+const { ensureModels } = require("./lib/models");
+const { embedBatch } = require("./lib/llm");
+const { createProgress } = require("./lib/progress");
+const {
+  DOC_KEY_VERSION, ensureChunkMeta, createDocsTable, saveDoc, readKbMeta, writeKbMeta, kbMetaMismatch
+} = require("./lib/db");
+const {
+  EMB_MODEL, CHUNK_TOKENS, OVERLAP_TOKENS, f32buf, hashFile, docKey, listDocs, chunkFile, describeFile, chunkMetaJson, embedDocs
+} = require("./lib/ingest");
 
 const DATA_ROOT  = "data";
 const DB_DIR     = "db";
-const EMB_MODEL  = process.env.EMB_MODEL || "nomic-embed-text";
-const CHUNK_SIZE = Number(process.env.CHUNK_SIZE || 1100);
-const OVERLAP    = Number(process.env.OVERLAP || 120);
 const REPLACE_ON_CHANGE = process.env.REPLACE_ON_CHANGE === "1";
 
+const ARGS    = process.argv.slice(2);
+const REEMBED = ARGS.includes("--reembed");
+
 if (!fs.existsSync(DB_DIR)) fs.mkdirSync(DB_DIR, { recursive: true });
 
-const ollama = new Ollama({ host: OLLAMA_HOST });
-
-const f32buf    = (arr) => Buffer.from(new Float32Array(arr).buffer);
-const normalize = (s) => (s || "").replace(/\s+/g, " ").trim();
-const hashFile  = (file) => crypto.createHash("sha1").update(fs.readFileSync(file)).digest("hex");
-
-function parseBlocks(raw) {
-  const lines = (raw || "").replace(/\r\n/g, "\n").split("\n");
-  const blocks = [];
-  let i = 0;
-  const blank = (s) => !s || /^\s*$/.test(s);
-  const qline = (s) => /^(q(uestion)?\s*[:\-]?)\s*/i.test(s || "");
-  const endsQ = (s) => /\?\s*$/.test((s || "").trim());
-
-  while (i < lines.length) {
-    let line = (lines[i] || "").trim();
-    if (blank(line)) { i++; continue; }
-    if (qline(line)) {
-      const q = line.replace(/^(q(uestion)?\s*[:\-]?)\s*/i, "").trim();
-      i++;
-      const a = [];
-      while (i < lines.length) {
-        const ln = (lines[i] || "").trim();
-        if (blank(ln) || qline(ln)) break;
-        a.push(/^a\s*[:\-]?\s*/i.test(ln) ? ln.replace(/^a\s*[:\-]?\s*/i, "").trim() : ln);
-        i++;
-      }
-      blocks.push(normalize(`Q: ${q}\nA: ${a.join(" ")}`));
-      continue;
-    }
-    if (endsQ(line)) {
-      const q = line;
-      const a = [];
-      let j = i + 1;
-      while (j < lines.length) {
-        const ln = (lines[j] || "").trim();
-        if (blank(ln) || qline(ln) || endsQ(ln)) break;
-        a.push(ln);
-        j++;
+// Migrate legacy basename keys to relative paths. A basename that maps to exactly one file is
+// renamed to it. When several files share it, the legacy key holds chunks of all of them (each
+// build appended under the same name), so its chunks are dropped and those files re-ingested.
+// → { moved, dropped }
+function migrateDocKeys(db, current) {
+  if (db.pragma("user_version", { simple: true }) >= DOC_KEY_VERSION) return { moved: 0, dropped: 0 };
+
+  const byBase = new Map();
+  for (const [doc, c] of current) {
+    const base = path.posix.basename(doc);
+    if (!byBase.has(base)) byBase.set(base, []);
+    byBase.get(base).push({ doc, hash: c.hash });
+  }
+  const rows = db.prepare("SELECT doc, file_hash FROM ingested_files").all();
+  const renameChunks = db.prepare("UPDATE chunks SET doc=? WHERE doc=?");
+  const renameFile   = db.prepare("UPDATE ingested_files SET doc=? WHERE doc=?");
+  const dropChunks   = db.prepare("DELETE FROM chunks WHERE doc=?");
+  const dropFile     = db.prepare("DELETE FROM ingested_files WHERE doc=?");
+
+  let moved = 0, dropped = 0;
+  const tx = db.transaction(() => {
+    for (const { doc } of rows) {
+      if (doc.includes("/")) continue;
+      const cands = byBase.get(doc) || [];
+      if (cands.length > 1) {
+        dropChunks.run(doc);
+        dropFile.run(doc);
+        dropped++;
+        continue;
       }
-      if (a.length) { blocks.push(normalize(`Q: ${q}\nA: ${a.join(" ")}`)); i = j; continue; }
-    }
-    const paras = [line];
-    i++;
-    while (i < lines.length) {
-      const ln = (lines[i] || "").trim();
-      if (blank(ln) || qline(ln)) break;
-      paras.push(ln);
-      i++;
+      const [hit] = cands;
+      if (!hit || hit.doc === doc) continue;
+      renameChunks.run(hit.doc, doc);
+      renameFile.run(hit.doc, doc);
+      moved++;
     }
-    blocks.push(normalize(paras.join(" ")));
-  }
-  return blocks.filter(Boolean);
+    db.pragma(`user_version = ${DOC_KEY_VERSION}`);
+  });
+  tx();
+  return { moved, dropped };
 }
 
-function packBlocks(blocks, size = CHUNK_SIZE, overlap = OVERLAP) {
-  const chunks = [];
-  let cur = "";
-  const push = () => { if (cur.trim()) { chunks.push(cur.trim()); cur = ""; } };
-  for (const b of blocks) {
-    if (b.length > size) {
-      const sents = b.split(/(?<=[.!?])\s+(?=[A-Z0-9‘“"(\[])/).map(s => s.trim()).filter(Boolean);
-      let buf = "";
-      for (const s of sents) {
-        if ((buf ? buf.length + 1 : 0) + s.length <= size) buf += (buf ? " " : "") + s;
-        else { if (buf) chunks.push(buf); if (s.length > size) { for (let i=0;i<s.length;i+=size) chunks.push(s.slice(i,i+size)); buf=""; } else buf=s; }
+// Reconcile DB docs against the files on disk:
+// - docs whose file is gone and whose hash reappears under a new name are renamed in place (no re-embed)
+// - docs whose file is gone otherwise have their chunks, ingested_files and docs rows purged
+function reconcileMissing(db, onDisk) {
+  const known = db.prepare(`
+    SELECT doc, file_hash FROM ingested_files
+    UNION
+    SELECT DISTINCT doc, NULL FROM chunks WHERE doc NOT IN (SELECT doc FROM ingested_files)
+  `).all();
+  const missing = known.filter(r => !onDisk.has(r.doc));
+  if (!missing.length) return { renamed: [], removed: [] };
+
+  const knownDocs = new Set(known.map(r => r.doc));
+  const newByHash = new Map();
+  for (const [doc, hash] of onDisk) if (!knownDocs.has(doc) && !newByHash.has(hash)) newByHash.set(hash, doc);
+
+  const renameChunks = db.prepare("UPDATE chunks SET doc=? WHERE doc=?");
+  const renameFile   = db.prepare("UPDATE ingested_files SET doc=?, updated_at=datetime('now') WHERE doc=?");
+  const renameMeta   = db.prepare("UPDATE docs SET doc=? WHERE doc=?");
+  const delChunks    = db.prepare("DELETE FROM chunks WHERE doc=?");
+  const delFile      = db.prepare("DELETE FROM ingested_files WHERE doc=?");
+  const delMeta      = db.prepare("DELETE FROM docs WHERE doc=?");
+
+  const renamed = [];
+  const removed = [];
+  const tx = db.transaction(() => {
+    for (const { doc, file_hash } of missing) {
+      const to = file_hash && newByHash.get(file_hash);
+      if (to) {
+        renameChunks.run(to, doc);
+        renameFile.run(to, doc);
+        renameMeta.run(to, doc);
+        newByHash.delete(file_hash);
+        renamed.push({ from: doc, to });
+      } else {
+        delChunks.run(doc);
+        delFile.run(doc);
+        delMeta.run(doc);
+        removed.push(doc);
       }
-      if (buf) chunks.push(buf);
-      continue;
     }
-    if ((cur ? cur.length + 2 : 0) + b.length <= size) cur += (cur ? "\n\n" : "") + b;
-    else { push(); cur = b; }
-  }
-  push();
-  return chunks;
+  });
+  tx();
+  return { renamed, removed };
 }
 
-async function readDoc(p) {
-  const ext = path.extname(p).toLowerCase();
-  if (ext === ".txt" || ext === ".md") return fs.readFileSync(p, "utf8");
-  if (ext === ".pdf") {
-    const buf = fs.readFileSync(p);
-    const pdf = await pdfParse(buf);
-    return pdf.text || "";
-  }
-  return "";
+// y/N prompt; non-interactive runs (watcher, CI) always answer no
+function confirm(question) {
+  if (!process.stdin.isTTY) return Promise.resolve(false);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, (a) => { rl.close(); resolve(/^y(es)?$/i.test(a.trim())); }));
 }
 
-async function embedBatch(texts) {
-  const out = [];
-  for (const t of texts) {
-    const r = await ollama.embeddings({ model: EMB_MODEL, prompt: t });
-    out.push(r.embedding);
+// Replace every stored embedding with one from EMB_MODEL (all-or-nothing)
+async function reembedAll(db) {
+  const rows = db.prepare("SELECT id, text FROM chunks ORDER BY id").all();
+  const setEmb = db.prepare("UPDATE chunks SET emb=? WHERE id=?");
+  const bar = createProgress(rows.length, "Re-embedding");
+  const vecs = await embedBatch(EMB_MODEL, rows.map(r => r.text), { onProgress: (done) => bar.update(done) });
+  bar.done();
+  db.transaction(() => rows.forEach((r, i) => setEmb.run(f32buf(vecs[i]), r.id)))();
+  writeKbMeta(db, { emb_model: EMB_MODEL, emb_dim: vecs[0]?.length, updated_at: new Date().toISOString() });
+  console.log(`• re-embedded ${rows.length} chunk(s) with ${EMB_MODEL}`);
+}
+
+/**
+ * Compare the DB's kb_meta with EMB_MODEL and offer to re-embed on a mismatch.
+ * Legacy DBs (no kb_meta) are checked by dimension and then stamped with the current settings.
+ * Returns false when the update must not go ahead.
+ */
+async function checkEmbeddings(db, name, dbPath) {
+  const meta = readKbMeta(db) || {};
+  let reason = kbMetaMismatch(meta, { model: EMB_MODEL });
+  if (!reason && !meta.emb_model) {
+    const [probe] = await embedBatch(EMB_MODEL, ["dimension probe"]);
+    const stored = db.prepare("SELECT emb FROM chunks LIMIT 1").get();
+    reason = stored && kbMetaMismatch({ emb_dim: stored.emb.byteLength / 4 }, { model: EMB_MODEL, dim: probe.length });
+    if (!reason) writeKbMeta(db, { emb_model: EMB_MODEL, emb_dim: probe.length, chunk_tokens: CHUNK_TOKENS, overlap_tokens: OVERLAP_TOKENS });
+  }
+
+  if (reason) {
+    console.error(`✖ ${dbPath}: ${reason}.`);
+    const ok = REEMBED || await confirm(`Re-embed all chunks of "${name}" with "${EMB_MODEL}" now? [y/N] `);
+    if (!ok) {
+      console.error(`  Re-embed with 'node update.js ${name} --reembed', or rebuild with 'node build.js ${name}'.`);
+      return false;
+    }
+    await reembedAll(db);
+  }
+
+  const now = `CHUNK_TOKENS=${CHUNK_TOKENS} OVERLAP_TOKENS=${OVERLAP_TOKENS}`;
+  if (meta.chunk_tokens && (meta.chunk_tokens !== CHUNK_TOKENS || meta.overlap_tokens !== OVERLAP_TOKENS)) {
+    console.warn(`(warn) ${dbPath} was chunked with CHUNK_TOKENS=${meta.chunk_tokens} OVERLAP_TOKENS=${meta.overlap_tokens}; ` +
+      `new/changed docs use ${now}. Rebuild to re-chunk everything.`);
+  } else if (!meta.chunk_tokens && meta.chunk_size) {
+    console.warn(`(warn) ${dbPath} was chunked by characters (CHUNK_SIZE=${meta.chunk_size} OVERLAP=${meta.overlap}); ` +
+      `new/changed docs use ${now}. Rebuild to re-chunk everything.`);
   }
-  return out;
+  return true;
 }
 
 async function updateOne(name) {
@@ -121,48 +175,80 @@ async function updateOne(name) {
   const dbPath  = path.join(DB_DIR, `${name}.db`);
   if (!fs.existsSync(dbPath)) { console.error(`No ${dbPath}. Run 'npm run rag:build -- ${name}' first.`); return; }
 
-  const files = glob.sync(`${dataDir}/**/*.{txt,md,pdf}`, { nocase: true });
-  if (!files.length) { console.warn(`(skip) No docs in ${dataDir}`); return; }
+  const files = listDocs(dataDir);
+  if (!files.length) console.warn(`(warn) No docs in ${dataDir}; removing all indexed docs`);
 
   const db = new Database(dbPath);
   db.pragma("journal_mode = WAL");
 
+  if (!(await checkEmbeddings(db, name, dbPath))) { db.close(); process.exitCode = 1; return; }
+  // chunks.meta (section / pages) and the docs table arrived after the first DBs were built
+  ensureChunkMeta(db);
+  createDocsTable(db);
+
+  // what is on disk now: doc → { file, hash }
+  const current = new Map();
+  for (const file of files) current.set(docKey(dataDir, file), { file, hash: hashFile(file) });
+
+  const migrated = migrateDocKeys(db, current);
+  if (migrated.moved) console.log(`• migrated ${migrated.moved} doc(s) from basename to relative-path keys`);
+  if (migrated.dropped) console.log(`• ${migrated.dropped} basename(s) shared by several files: dropped their chunks to re-ingest each file`);
+
+  const { renamed, removed } = reconcileMissing(db, new Map([...current].map(([doc, c]) => [doc, c.hash])));
+  for (const r of renamed) console.log(`• ${r.from} → ${r.to}: (renamed) reused chunks`);
+  for (const doc of removed) console.log(`• ${doc}: (removed)`);
+  const renamedTo = new Set(renamed.map(r => r.to));
+
   const getLastId   = db.prepare("SELECT COALESCE(MAX(id),0) AS maxid FROM chunks");
   const getFileHash = db.prepare("SELECT file_hash FROM ingested_files WHERE doc=?");
   const upsertFile  = db.prepare(`INSERT INTO ingested_files(doc,file_hash,updated_at)
     VALUES (?,?,datetime('now'))
     ON CONFLICT(doc) DO UPDATE SET file_hash=excluded.file_hash, updated_at=datetime('now')`);
   const delByDoc    = db.prepare("DELETE FROM chunks WHERE doc=?");
-  const insChunk    = db.prepare(`INSERT INTO chunks (id, doc, chunk_id, text, emb) VALUES (?, ?, ?, ?, ?)`);
+  const insChunk    = db.prepare(`INSERT INTO chunks (id, doc, chunk_id, text, emb, meta) VALUES (?, ?, ?, ?, ?, ?)`);
+  const hasDocRow   = db.prepare("SELECT 1 FROM docs WHERE doc=?");
 
   let nextId   = getLastId.get().maxid;
   let appended = 0;
+  let added = 0, changed = 0, unchanged = 0;
 
-  for (const file of files) {
-    const base = path.basename(file);
-    const fh   = hashFile(file);
-    const prev = getFileHash.get(base);
-    if (prev && prev.file_hash === fh) continue;
+  // chunk new/changed docs first so progress has a total
+  const pending = [];
+  for (const [doc, { file, hash: fh }] of current) {
+    const prev = getFileHash.get(doc);
+    if (prev && prev.file_hash === fh) {
+      if (!renamedTo.has(doc)) unchanged++;
+      // indexed before the docs table existed: record its metadata without re-embedding
+      if (!hasDocRow.get(doc)) { const meta = await describeFile(file); if (meta) saveDoc(db, doc, meta); }
+      continue;
+    }
 
-    const raw = await readDoc(file);
-    if (!raw || !raw.trim()) { upsertFile.run(base, fh); continue; }
-    const parts = packBlocks(parseBlocks(raw));
-    const vecs  = await embedBatch(parts);
+    const { parts, meta, failed } = await chunkFile(file);
+    if (failed) continue; // unreadable now: keep what was indexed, retry on the next update
+    if (!parts.length) { upsertFile.run(doc, fh); continue; }
+    pending.push({ doc, fh, prev, parts, meta });
+  }
 
+  const dim = await embedDocs(pending, ({ doc, fh, prev, parts, meta }, vecs) => {
     const tx = db.transaction(() => {
-      if (REPLACE_ON_CHANGE && prev) delByDoc.run(base);
+      if (REPLACE_ON_CHANGE && prev) delByDoc.run(doc);
       for (let i = 0; i < parts.length; i++) {
         nextId += 1;
-        insChunk.run(nextId, base, i, parts[i], f32buf(vecs[i]));
+        insChunk.run(nextId, doc, i, parts[i].text, f32buf(vecs[i]), chunkMetaJson(parts[i].meta));
         appended++;
       }
-      upsertFile.run(base, fh);
+      saveDoc(db, doc, meta);
+      upsertFile.run(doc, fh);
     });
     tx();
+    if (prev) changed++; else added++;
 
-    console.log(`• ${base}: ${(REPLACE_ON_CHANGE && prev) ? "(replaced) " : "(added) "}+${parts.length} chunk(s)`);
-  }
+    console.log(`• ${doc}: ${(REPLACE_ON_CHANGE && prev) ? "(replaced) " : "(added) "}+${parts.length} chunk(s)`);
+  });
+  writeKbMeta(db, { emb_dim: dim, updated_at: new Date().toISOString() });
+  db.close();
   console.log(`✅ Update ${dbPath} complete. Appended ${appended} chunk(s).`);
+  console.log(`   added ${added}, changed ${changed}, renamed ${renamed.length}, removed ${removed.length}, unchanged ${unchanged}`);
 }
 
 (async function main() {
@@ -170,7 +256,7 @@ async function updateOne(name) {
   await ensureModels("rag");
 
   if (!fs.existsSync(DATA_ROOT)) { console.error("No ./data folder"); process.exit(1); }
-  const arg = process.argv[2];
+  const arg = ARGS.find(a => !a.startsWith("--"));
   if (arg) {
     const dir = path.join(DATA_ROOT, arg);
     if (!fs.existsSync(dir)) { console.error(`Folder not found: ${dir}`); process.exit(1); }